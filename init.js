@@ -2,51 +2,587 @@
 
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
 const https = require("https");
+const os = require("os");
+const crypto = require("crypto");
 const { execSync, spawnSync } = require("child_process");
 const readline = require("readline");
+const tls = require("tls");
 
 const DEFAULT_TARGET = "init_src";
 const NPM_MIRROR_REGISTRY = "https://registry.npmmirror.com/";
 const ELECTRON_MIRROR = "https://npmmirror.com/mirrors/electron/";
+const PIP_MIRROR_INDEX = "https://mirrors.aliyun.com/pypi/simple/";
+const GOPROXY_MIRROR = "https://goproxy.cn,direct";
 const RELEASES_URL = "https://releases.electronjs.org/releases.json";
-const argv = new Set(process.argv.slice(2));
-const enableAudit = argv.has("--audit");
-const forceRebuild = argv.has("--force");
-const showHelp = argv.has("--help") || argv.has("-h");
+const RELEASES_CACHE_FILE = "releases.json";
+const RELEASES_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const SCAFFOLD_STORE_DIR = "scaffolds";
+const SCAFFOLD_MANIFEST = "manifest.json";
+const CACHE_PROJECT_NAME = "electroinit-cache";
+const GENERATOR_VERSION = "1.0.0";
+const METADATA_DIR = ".electroinit";
+const METADATA_MANIFEST = "manifest.json";
+const METADATA_BASE = "base.json";
+const FETCH_TIMEOUT_MS = 15000;
+const ELECTRON_CHANNELS = ["stable", "beta"];
+const SUPPORTED_MAJORS = 3;
+const CANDIDATE_TABLE_SIZE = 5;
+const FETCH_MAX_REDIRECTS = 5;
+const PYTHON_MIN_VERSION = "3.8";
+// 1.21 can fetch the newer toolchain a dependency asks for in its go.mod.
+const GO_MIN_VERSION = "1.21";
+const TEMPLATES_ROOT = path.join(__dirname, "templates");
+const TEMPLATE_RENAMES = { _gitignore: ".gitignore", _npmrc: ".npmrc" };
+const EXECUTABLE_EXTENSIONS = new Set([".sh"]);
+const DEFAULT_BACKEND_PORT = 3001;
+const SECURITY_RULES = [
+  {
+    title: "contextIsolation is enabled",
+    pass: (src) => /contextIsolation:\s*true/.test(src) && !/contextIsolation:\s*false/.test(src),
+  },
+  {
+    title: "nodeIntegration is explicitly disabled",
+    pass: (src) => /nodeIntegration:\s*false/.test(src) && !/nodeIntegration(InWorker|InSubFrames)?:\s*true/.test(src),
+  },
+  {
+    title: "sandbox is enabled",
+    pass: (src) => /sandbox:\s*true/.test(src) && !/sandbox:\s*false/.test(src),
+  },
+  {
+    title: "webSecurity is not disabled",
+    pass: (src) => !/webSecurity:\s*false/.test(src),
+  },
+  {
+    title: "insecure content and <webview> are not allowed",
+    pass: (src) => !/allowRunningInsecureContent:\s*true/.test(src) && !/webviewTag:\s*true/.test(src),
+  },
+  {
+    title: "Content-Security-Policy header is set via session.webRequest (dev server)",
+    pass: (src) => /onHeadersReceived/.test(src) && /Content-Security-Policy/.test(src),
+  },
+  {
+    // file:// responses carry no headers, so the built renderer relies on the meta tag.
+    title: "Content-Security-Policy meta tag restricts scripts in src/frontend/index.html (production)",
+    pass: (_src, html) => {
+      const policy = metaCsp(html) || "";
+      const scripts = policy.match(/(?:^|;)\s*script-src([^;]*)/) || policy.match(/(?:^|;)\s*default-src([^;]*)/);
+      return !!scripts && !/'unsafe-(inline|eval)'/.test(scripts[1]);
+    },
+  },
+  {
+    title: "window.open is handled by setWindowOpenHandler",
+    pass: (src) => /setWindowOpenHandler/.test(src),
+  },
+  {
+    title: "navigation is guarded by a will-navigate handler",
+    pass: (src) => /["']will-navigate["']/.test(src),
+  },
+  {
+    title: "permission requests go through setPermissionRequestHandler",
+    pass: (src) => /setPermissionRequestHandler/.test(src),
+  },
+];
+const BACKEND_PLUGINS_DIR = "electroinit-backends";
+const BACKEND_PLUGIN_PACKAGE = /^(@[^/]+\/)?electroinit-backend-/;
+const BUILTIN_BACKENDS = [
+  {
+    key: "node",
+    label: "node (default)",
+    startCommandWindows: "node src\\backend\\index.js",
+    startCommandUnix: "node src/backend/index.js",
+    templatesDir: path.join(TEMPLATES_ROOT, "backend-node"),
+    runtime: { command: "node", args: ["src/backend/index.js"] },
+    packaging: {
+      copy: ["src/backend"],
+      runtime: { command: "node", args: ["index.js"] },
+    },
+    test: { command: "node", args: ["--test"], cwd: "src/backend" },
+    api: { spec: "src/backend/openapi.json" },
+    healthEndpoint: "/api/health",
+    workspace: true,
+  },
+  {
+    key: "python-fastapi",
+    label: "python-fastapi",
+    startCommandWindows: ".\\src\\backend\\.venv\\Scripts\\python.exe src\\backend\\app.py",
+    startCommandUnix: "src/backend/.venv/bin/python src/backend/app.py",
+    templatesDir: path.join(TEMPLATES_ROOT, "backend-python-fastapi"),
+    runtime: {
+      command: ".venv/bin/python",
+      commandWindows: ".venv\\Scripts\\python.exe",
+      args: ["app.py"],
+      cwd: "src/backend",
+    },
+    packaging: {
+      build: [
+        {
+          command: ".venv/bin/python",
+          commandWindows: ".venv\\Scripts\\python.exe",
+          args: [
+            "-m",
+            "PyInstaller",
+            "--noconfirm",
+            "--distpath",
+            "../../dist",
+            "--workpath",
+            "../../dist/.pyinstaller",
+            "backend.spec",
+          ],
+          cwd: "src/backend",
+        },
+      ],
+      runtime: { executable: "backend" },
+    },
+    test: {
+      command: ".venv/bin/python",
+      commandWindows: ".venv\\Scripts\\python.exe",
+      args: ["-m", "pytest", "-q"],
+      cwd: "src/backend",
+    },
+    bootstrap: pythonBootstrap,
+    api: {
+      spec: "src/backend/openapi.json",
+      export: {
+        command: ".venv/bin/python",
+        commandWindows: ".venv\\Scripts\\python.exe",
+        args: ["export_openapi.py"],
+        cwd: "src/backend",
+      },
+    },
+    healthEndpoint: "/api/health",
+  },
+  {
+    key: "golang-gin",
+    label: "golang-gin",
+    startCommandWindows: "go -C src\\backend run .",
+    startCommandUnix: "go -C src/backend run .",
+    templatesDir: path.join(TEMPLATES_ROOT, "backend-golang-gin"),
+    runtime: { command: "go", args: ["run", "."], cwd: "src/backend" },
+    packaging: {
+      build: [
+        { command: "go", args: ["build", "-o", "../../dist/backend/backend$EXE", "."], cwd: "src/backend" },
+      ],
+      runtime: { executable: "backend" },
+    },
+    test: { command: "go", args: ["test", "./..."], cwd: "src/backend" },
+    bootstrap: goBootstrap,
+    api: { spec: "src/backend/openapi.json" },
+    healthEndpoint: "/api/health",
+  },
+];
+const PACKAGE_MANAGERS = {
+  npm: {
+    key: "npm",
+    lockfiles: ["package-lock.json"],
+    run: "npm run",
+    exec: ["npx"],
+    runIn: (dir, script) => `npm --prefix ${dir} run ${script}`,
+    runWorkspace: (name, script) => `npm run ${script} -w ${name}`,
+    installArgs: (audit) => (audit ? ["install"] : ["install", "--no-audit"]),
+    offline: (mode) => ({ args: [`--${mode}`] }),
+  },
+  pnpm: {
+    key: "pnpm",
+    lockfiles: ["pnpm-lock.yaml"],
+    run: "pnpm run",
+    exec: ["pnpm", "exec"],
+    runIn: (dir, script) => `pnpm --dir ${dir} run ${script}`,
+    runWorkspace: (name, script) => `pnpm --filter ${name} run ${script}`,
+    installArgs: () => ["install"],
+    offline: (mode) => ({ args: [`--${mode}`] }),
+    // pnpm-workspace.yaml lists src/frontend, so one install covers both.
+    workspace: true,
+  },
+  yarn: {
+    key: "yarn",
+    lockfiles: ["yarn.lock"],
+    run: "yarn run",
+    exec: ["yarn"],
+    runIn: (dir, script) => `yarn --cwd ${dir} run ${script}`,
+    runWorkspace: (name, script) => `yarn workspace ${name} run ${script}`,
+    installArgs: () => ["install"],
+    // Yarn 2+ always reuses its cache; offline means no network at all.
+    offline: (mode) => (mode === "offline" ? { env: { YARN_ENABLE_NETWORK: "0" } } : {}),
+  },
+  bun: {
+    key: "bun",
+    lockfiles: ["bun.lock", "bun.lockb"],
+    run: "bun run",
+    exec: ["bunx"],
+    runIn: (dir, script) => `bun run --cwd ${dir} ${script}`,
+    runWorkspace: (name, script) => `bun run --filter ${name} ${script}`,
+    installArgs: () => ["install"],
+    offline: () => null,
+  },
+};
+// Dependencies whose install scripts must run: electron downloads its binary
+// in postinstall, esbuild fetches its platform package.
+const BUILT_DEPENDENCIES = ["electron", "esbuild"];
+// Tooling used by more than one package; workspaces keep a single copy in the root.
+const SHARED_DEV_DEPENDENCIES = { "@types/node": "^20.11.0", typescript: "^5.6.3" };
+// Known-good lockfiles for --seed-lockfiles, laid out like the project.
+const LOCKFILE_SEEDS_DIR = path.join(TEMPLATES_ROOT, "lockfiles", "npm");
+const LOCKFILE_SEEDS = ["package-lock.json", "src/frontend/package-lock.json"];
+const ANSWER_KEYS = {
+  target: "string",
+  backend: "string",
+  electronVersion: "string",
+  registry: "string",
+  electronMirror: "string",
+  releasesUrl: "string",
+  proxy: "string",
+  noproxy: "string",
+  cafile: "string",
+  pipIndexUrl: "string",
+  goproxy: "string",
+  // A number reads naturally for a major version ("electronMajor": 31).
+  electronMajor: "string|number",
+  electronChannel: "string",
+  supportedOnly: "boolean",
+  releasesFile: "string",
+  offline: "boolean",
+  templateDir: "string",
+  electronTs: "boolean",
+  pm: "string",
+  workspace: "boolean",
+  install: "boolean",
+  preferOffline: "boolean",
+  seedLockfiles: "boolean",
+  backendPlugins: "string",
+  backendPlugin: "string",
+  mirror: "boolean",
+  useCache: "boolean",
+  reinstall: "boolean",
+  overwrite: "boolean",
+  dryRun: "boolean",
+  diff: "boolean",
+  yes: "boolean",
+};
+const OPTION_FLAGS = {
+  "--target": { key: "target", type: "string" },
+  "--backend": { key: "backend", type: "string" },
+  "--electron-version": { key: "electronVersion", type: "string" },
+  "--electron-major": { key: "electronMajor", type: "string" },
+  "--electron-channel": { key: "electronChannel", type: "string" },
+  "--supported-only": { key: "supportedOnly", type: "boolean" },
+  "--releases-file": { key: "releasesFile", type: "string" },
+  "--releases-url": { key: "releasesUrl", type: "string" },
+  "--registry": { key: "registry", type: "string" },
+  "--electron-mirror": { key: "electronMirror", type: "string" },
+  "--proxy": { key: "proxy", type: "string" },
+  "--noproxy": { key: "noproxy", type: "string" },
+  "--cafile": { key: "cafile", type: "string" },
+  "--pip-index-url": { key: "pipIndexUrl", type: "string" },
+  "--goproxy": { key: "goproxy", type: "string" },
+  "--offline": { key: "offline", type: "boolean" },
+  "--refresh-releases": { key: "refreshReleases", type: "boolean" },
+  "--template-dir": { key: "templateDir", type: "string" },
+  "--electron-ts": { key: "electronTs", type: "boolean" },
+  "--pm": { key: "pm", type: "string" },
+  "--workspace": { key: "workspace", type: "boolean" },
+  "--install": { key: "install", type: "boolean" },
+  "--prefer-offline": { key: "preferOffline", type: "boolean" },
+  "--seed-lockfiles": { key: "seedLockfiles", type: "boolean" },
+  "--backend-plugins": { key: "backendPlugins", type: "string" },
+  "--backend-plugin": { key: "backendPlugin", type: "string" },
+  "--answers": { key: "answers", type: "string" },
+  "--security-report": { key: "securityReport", type: "string" },
+  "--mirror": { key: "mirror", type: "boolean" },
+  "--use-cache": { key: "useCache", type: "boolean" },
+  "--reinstall": { key: "reinstall", type: "boolean" },
+  "--overwrite": { key: "overwrite", type: "boolean" },
+  "--dry-run": { key: "dryRun", type: "boolean" },
+  "--diff": { key: "diff", type: "boolean" },
+  "--yes": { key: "yes", type: "boolean" },
+  "-y": { key: "yes", type: "boolean" },
+  "--force": { key: "force", type: "boolean" },
+  "--older-than": { key: "olderThan", type: "string" },
+  "--audit": { key: "audit", type: "boolean" },
+  "--help": { key: "help", type: "boolean" },
+  "-h": { key: "help", type: "boolean" },
+};
+
+class CliError extends Error {}
+
+function parseArgs(args) {
+  const options = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("-")) {
+      options._.push(arg);
+      continue;
+    }
+    const eq = arg.startsWith("--") ? arg.indexOf("=") : -1;
+    let flag = eq === -1 ? arg : arg.slice(0, eq);
+    let negated = false;
+    if (!OPTION_FLAGS[flag] && flag.startsWith("--no-")) {
+      const positive = "--" + flag.slice(5);
+      if (OPTION_FLAGS[positive] && OPTION_FLAGS[positive].type === "boolean") {
+        flag = positive;
+        negated = true;
+      }
+    }
+    const spec = OPTION_FLAGS[flag];
+    if (!spec) {
+      throw new CliError(`Unknown option: ${arg} (see --help)`);
+    }
+    if (spec.type === "boolean") {
+      if (eq !== -1) {
+        throw new CliError(`Option ${flag} does not take a value`);
+      }
+      options[spec.key] = !negated;
+      continue;
+    }
+    let value = eq === -1 ? args[++i] : arg.slice(eq + 1);
+    if (value === undefined || value === "") {
+      throw new CliError(`Option ${flag} requires a value`);
+    }
+    options[spec.key] = value;
+  }
+  return options;
+}
+
+function loadAnswers(file) {
+  const answersPath = path.resolve(process.cwd(), file);
+  let answers;
+  try {
+    answers = JSON.parse(fs.readFileSync(answersPath, "utf8"));
+  } catch (err) {
+    throw new CliError(`Failed to read answers file ${answersPath}: ${err.message}`);
+  }
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    throw new CliError(`Answers file must contain a JSON object: ${answersPath}`);
+  }
+  Object.entries(answers).forEach(([key, value]) => {
+    if (!ANSWER_KEYS[key]) {
+      throw new CliError(
+        `Unknown key "${key}" in answers file. Allowed: ${Object.keys(ANSWER_KEYS).join(", ")}`
+      );
+    }
+    const types = ANSWER_KEYS[key].split("|");
+    if (!types.includes(typeof value)) {
+      throw new CliError(`Answers file key "${key}" must be a ${types.join(" or ")}`);
+    }
+    // Options are read as strings, the same as their command-line flags.
+    if (typeof value === "number") answers[key] = String(value);
+  });
+  return answers;
+}
+
+function resolveOptions(args) {
+  const cliOptions = parseArgs(args);
+  const answers = cliOptions.answers ? loadAnswers(cliOptions.answers) : {};
+  return { ...answers, ...cliOptions };
+}
 
-if (showHelp) {
+let options = {};
+let enableAudit = false;
+let dryRun = false;
+let forceRebuild = false;
+let electronFilter = {};
+let network = {};
+
+function configure(next) {
+  options = next;
+  enableAudit = !!options.audit;
+  dryRun = !!(options.dryRun || options.diff);
+  forceRebuild = !!options.force;
+  electronFilter = electronFilters(options);
+  network = networkOverrides(options);
+  if (options.releasesUrl) parseHttpUrl(options.releasesUrl, "--releases-url");
+}
+
+function printHelp() {
   console.log(`
 ElectroInit - Electron + React + Vite project scaffold generator
 
 Usage:
   node init.js [options]
+  node init.js cache <list | verify [id...] | prune [id...] | build> [options]
+  node init.js upgrade <dir> [--electron-version <ver>] [--template-dir <dir>] [--dry-run]
+  node init.js add <feature> [name] [--target <dir>] [--dry-run]
 
 Options:
-  --force   Force rebuild the init_src cache, skip interactive prompts
-  --audit   Enable npm audit during dependency installation
-  -h, --help  Show this help message
+  --target <dir>              Target directory (default: init_src)
+  --backend <key>             Backend: node | python-fastapi | golang-gin | <plugin key>
+                              (or menu number)
+  --backend-plugins <dir>     Load backend plugins from this directory
+                              (default: ./electroinit-backends if present)
+  --backend-plugin <names>    Comma-separated backend plugin packages or paths
+  --electron-version <ver>    Use this Electron version instead of auto-detecting
+  --electron-major <n>        Only consider Electron <n>.x (latest patch wins)
+  --electron-channel <name>   stable (default) or beta; beta also offers betas
+  --supported-only            Only consider the latest 3 stable majors, which
+                              Electron still supports (by release date)
+  --releases-file <path>      Read Electron releases from a local releases.json
+  --releases-url <url>        Fetch Electron releases from this URL instead of
+                              releases.electronjs.org
+  --offline                   Never fetch releases; use the local releases cache
+                              and install with --offline (package manager cache)
+  --prefer-offline            Use a stale releases cache and install with
+                              --prefer-offline
+  --no-install                Generate files only and print the install commands
+  --seed-lockfiles            Start from the bundled known-good npm lockfiles
+  --refresh-releases          Ignore the releases cache TTL and fetch again
+  --template-dir <dir>        Override or add template files (mirrors the output tree)
+  --electron-ts               Write the Electron main/preload in TypeScript and
+                              bundle them with esbuild
+  --pm <name>                 Package manager: npm | pnpm | yarn | bun (default:
+                              the one running init.js, from npm_config_user_agent)
+  --workspace                 Generate a workspace: one install for the root,
+                              src/frontend (and the Node backend)
+  --mirror, --no-mirror       Configure (or skip) the npmmirror.com registry
+                              (plus Aliyun PyPI and goproxy.cn for backends)
+  --registry <url>            npm registry (e.g. an internal Verdaccio/Artifactory)
+  --electron-mirror <url>     Mirror for the Electron binary download
+  --proxy <url>               HTTP(S) proxy for fetching and installs
+                              (default: $HTTPS_PROXY / $HTTP_PROXY when fetching)
+  --noproxy <hosts>           Comma-separated hosts that bypass the proxy
+  --cafile <path>             Extra CA certificate (PEM) to trust
+  --pip-index-url <url>       PyPI index for the python-fastapi backend
+  --goproxy <list>            GOPROXY for the golang-gin backend
+                              (e.g. https://goproxy.cn,direct)
+  --use-cache, --no-use-cache Copy (or skip) a matching cached scaffold
+  --reinstall                 With a cached scaffold, reinstall dependencies instead
+                              of copying node_modules
+  --overwrite                 Overwrite a non-empty target directory
+  --dry-run                   Print the files and installs without touching disk
+  --diff                      Dry run, plus a diff against the existing target
+  --answers <file>            Read answers from a JSON file (flags take precedence)
+  --security-report <dir>     Check an existing project against the Electron
+                              security checklist and exit
+  -y, --yes                   Accept defaults and confirm every prompt
+  --force                     Rebuild an existing cache entry (same as cache build
+                              when given without a command)
+  --older-than <days>         cache prune: also remove entries older than this
+  --audit                     Enable npm audit during dependency installation
+  -h, --help                  Show this help message
 
 Interactive Flow:
   1. Choose target directory (default: init_src)
-  2. If target exists, prompt to overwrite
-  3. Choose whether to use cached scaffold from init_src
-  4. Configure npm mirror (npmmirror.com)
-  5. Select backend type: node / python-fastapi / golang-gin
-  6. Auto-detect compatible Electron version based on local Node.js
-  7. Install dependencies (root + frontend)
+  2. If target exists, prompt to overwrite (it is only replaced at the end)
+  3. Configure npm mirror (npmmirror.com)
+  4. Select backend type: node / python-fastapi / golang-gin
+  5. Offer cached scaffolds that match the options chosen so far
+  6. Pick Electron from a table of candidates ranked by the local Node.js
+     major (with Node, Chromium and release date)
+  7. Generate and install (root + frontend) in a staging directory next to
+     the target, then swap it into place; on failure or Ctrl-C the target
+     is left unchanged. A failed install prints a summary of every step and
+     offers to retry it on a terminal.
+  8. Bootstrap the backend: python-fastapi checks Python >= 3.8, then (once
+     the project is in place) creates src/backend/.venv and pip installs
+     requirements-dev.txt; golang-gin checks Go >= 1.21 and runs go mod tidy.
+
+  Every prompt can be answered up front with the flags above or with an
+  answers file. When stdin is not a TTY, a prompt without an answer is an
+  error instead of waiting for input.
+
+Answers file keys:
+  target, backend, electronVersion, electronMajor, electronChannel,
+  supportedOnly, releasesFile, releasesUrl, registry, electronMirror, proxy,
+  noproxy, cafile, pipIndexUrl, goproxy, offline, preferOffline, install,
+  seedLockfiles, templateDir, electronTs, pm, workspace, backendPlugins,
+  backendPlugin, mirror, useCache, reinstall, overwrite, dryRun, diff, yes
+
+Backend plugins:
+  A plugin is a CommonJS module exporting a backend (or an array of them):
+  { key, label, startCommandUnix, startCommandWindows, templatesDir,
+    createFiles(out, ctx), bootstrap(ctx), runtime, packaging, test,
+    healthEndpoint, api, workspace }.
+  Plugins are loaded from ./electroinit-backends, --backend-plugins <dir>,
+  --backend-plugin <names> and node_modules/electroinit-backend-* packages.
+  See README.md for the full contract.
+
+Templates:
+  Every generated file comes from a template in templates/ next to init.js.
+  Files in --template-dir replace the built-in file at the same relative path
+  or are added to the project. {{projectName}}, {{backendKey}},
+  {{backendPort}}, {{backendHealthEndpoint}}, {{backendRuntime}},
+  {{backendPackaging}}, {{backendTest}}, {{backendApi}}, {{appId}},
+  {{electronVersion}}, {{backendStartCommand}},
+  {{backendStartCommandUnix}}, {{backendStartCommandWindows}},
+  {{packageManager}}, {{pmRun}}, {{pmExec}} and {{lockfileIgnores}} are
+  substituted in every template; _gitignore is written as .gitignore.
+
+API contract:
+  The built-in backends share one OpenAPI document (src/backend/openapi.json)
+  with /api/health and example /api/items CRUD routes. FastAPI exports its
+  own schema; Node and Gin serve the checked-in file at /openapi.json.
+  npm run gen:api regenerates the typed client src/frontend/src/lib/api.ts.
+
+Package managers:
+  npm and bun get .npmrc, yarn gets .yarnrc.yml (node-modules linker) and
+  pnpm gets .npmrc plus a pnpm-workspace.yaml, so one pnpm install covers
+  src/frontend. Scripts use the chosen manager, other managers' lockfiles
+  are ignored, and electron/esbuild are allowed to run their install
+  scripts (pnpm onlyBuiltDependencies, bun trustedDependencies).
+  With --workspace the root package.json lists the workspaces, shared dev
+  dependencies (typescript, @types/node) live only in the root, and root
+  scripts run frontend scripts through the workspace (npm run dev -w ...).
+
+Network:
+  Releases are fetched through $HTTPS_PROXY / $HTTP_PROXY (or --proxy),
+  skipping hosts in $NO_PROXY (or --noproxy); redirects are followed and
+  $NODE_EXTRA_CA_CERTS and --cafile are trusted. --registry,
+  --electron-mirror, --proxy, --noproxy and --cafile are written into the
+  generated .npmrc (.yarnrc.yml for yarn) and used by the installs.
+  --pip-index-url, --proxy and --cafile go into the backend venv's pip.conf;
+  --goproxy, --proxy and --cafile are passed to go mod tidy.
+  --registry without --mirror skips the mirror prompt.
+
+Releases cache:
+  Fetched releases are cached in <cache dir>/releases.json for 24 hours.
+  The cache dir is $ELECTROINIT_CACHE_DIR, else $XDG_CACHE_HOME/electroinit
+  (%LOCALAPPDATA%\\electroinit on Windows), else ~/.cache/electroinit.
+
+Scaffold cache:
+  cache build stores an installed scaffold in <cache dir>/scaffolds/<id>,
+  keyed by backend, Electron version, --electron-ts, mirror and audit
+  settings. Each entry has a manifest.json with its options, a content hash
+  and its creation date. cache verify recomputes the hash; cache prune
+  removes entries that fail verification (and, with --older-than, old ones).
+
+Upgrade:
+  Generated projects record their options and the pristine template output
+  in .electroinit/. upgrade renders the current templates with the same
+  options and three-way merges them into the project: untouched files are
+  updated, edits on both sides are merged, and overlapping edits get
+  conflict markers (exit code 1).
+
+Features (add):
+  router              react-router with a layout in App.tsx; the old App
+                      content moves to pages/Home.tsx
+  state               zustand store in src/frontend/src/store
+  sqlite              better-sqlite3 database opened by the main process
+  tray                system tray icon with Show / Quit menu
+  ipc-channel <name>  typed invoke channel with an echo handler in main
+  add works on --target <dir> (default: the current directory), edits
+  package.json and patches entry points idempotently, and changes nothing
+  if an entry point was edited in a conflicting way.
 
 Examples:
   node init.js              Interactive scaffold generation
-  node init.js --force      Rebuild init_src cache non-interactively
+  node init.js cache build --backend golang-gin --no-mirror --yes
+  node init.js cache list
+  node init.js upgrade my-app --dry-run
+  node init.js add ipc-channel listNotes --target my-app
   node init.js --audit      Enable npm audit during install
+  node init.js --target my-app --backend golang-gin --no-mirror --no-use-cache --yes
+  node init.js --pm pnpm --target my-app   Generate a pnpm project
+  node init.js --answers answers.json
+  node init.js --offline    Pick Electron from the cached releases list
+  node init.js --electron-major 31 --supported-only --yes
+  node init.js --registry https://npm.corp.example/ --cafile corp-ca.pem
+  node init.js --target my-app --backend node --yes --diff
 `);
-  process.exit(0);
 }
 const isWindows = process.platform === "win32";
-const npmCommand = isWindows ? "npm.cmd" : "npm";
-const TEMPLATE_DIR = DEFAULT_TARGET;
+const hostPlatform = isWindows ? "windows" : "unix";
 const COPY_IGNORE = new Set(["dist", "logs", ".git"]);
+const DEPENDENCY_DIRS = new Set(["node_modules", ".venv"]);
 
 function run(cmd) {
   try {
@@ -93,10 +629,6 @@ function compareSemver(a, b) {
   return a.patch - b.patch;
 }
 
-function isPreRelease(version) {
-  return normalizeVersion(version).includes("-");
-}
-
 function isEmptyDir(dir) {
   if (!fs.existsSync(dir)) return true;
   const entries = fs.readdirSync(dir);
@@ -109,7 +641,36 @@ function ensureDir(dir) {
 
 function writeFile(target, content) {
   ensureDir(path.dirname(target));
-  fs.writeFileSync(target, content, "utf8");
+  fs.writeFileSync(target, content, Buffer.isBuffer(content) ? undefined : "utf8");
+}
+
+function createFileMap() {
+  const files = new Map();
+  const dirs = new Set();
+  return {
+    files,
+    dirs,
+    addDir(rel) {
+      dirs.add(rel.split(path.sep).join("/"));
+    },
+    write(rel, content, opts) {
+      files.set(rel.split(path.sep).join("/"), {
+        content,
+        executable: !!(opts && opts.executable),
+      });
+    },
+  };
+}
+
+function flushFileMap(targetDir, out) {
+  out.dirs.forEach((d) => ensureDir(path.join(targetDir, d)));
+  out.files.forEach((file, rel) => {
+    const target = path.join(targetDir, rel);
+    writeFile(target, file.content);
+    if (file.executable && !isWindows) {
+      fs.chmodSync(target, 0o755);
+    }
+  });
 }
 
 function toPackageName(name) {
@@ -120,6 +681,22 @@ function toPackageName(name) {
     .replace(/--+/g, "-") || "electron-app";
 }
 
+function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  // e.g. "pnpm/9.12.0 npm/? node/v20.18.0 linux x64"
+  const name = (userAgent || "").split("/")[0];
+  return PACKAGE_MANAGERS[name] ? name : "npm";
+}
+
+function getPackageManager(key) {
+  const pm = PACKAGE_MANAGERS[key || "npm"];
+  if (!pm) {
+    throw new CliError(
+      `Unknown package manager "${key}". Choose one of: ${Object.keys(PACKAGE_MANAGERS).join(", ")}`
+    );
+  }
+  return pm;
+}
+
 function promptLine(rl, question, defaultValue) {
   return new Promise((resolve) => {
     rl.question(question, (answer) => {
@@ -137,451 +714,416 @@ async function confirm(rl, question, defaultYes) {
   return normalized === "y" || normalized === "yes";
 }
 
-function fetchJson(url) {
+function createPrompter(answers) {
+  const interactive = !!process.stdin.isTTY;
+  let rl = null;
+
+  function getReadline() {
+    if (!rl) {
+      rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+      // Raw-mode readline swallows Ctrl-C; raise it so cleanup handlers run.
+      rl.on("SIGINT", () => process.kill(process.pid, "SIGINT"));
+    }
+    return rl;
+  }
+
+  function requireTty(key, flag, question) {
+    if (interactive) return;
+    const hint = key ? `Pass ${flag} or set "${key}" in --answers <file>.` : `Pass ${flag}.`;
+    throw new CliError(`No answer for "${question.trim()}" and stdin is not a TTY. ${hint}`);
+  }
+
+  return {
+    async line(key, flag, question, defaultValue) {
+      if (key && answers[key] !== undefined) return answers[key];
+      if (answers.yes && defaultValue) return defaultValue;
+      requireTty(key, flag, question);
+      return promptLine(getReadline(), question, defaultValue);
+    },
+    async toggle(key, flag, question, defaultYes) {
+      if (key && answers[key] !== undefined) return answers[key];
+      if (answers.yes) return !!defaultYes;
+      requireTty(key, flag, question);
+      return confirm(getReadline(), question, defaultYes);
+    },
+    async confirm(key, flag, question, defaultYes) {
+      if (key && answers[key] !== undefined) return answers[key];
+      if (answers.yes) return true;
+      requireTty(key, flag, question);
+      return confirm(getReadline(), question, defaultYes);
+    },
+    close() {
+      if (rl) rl.close();
+      rl = null;
+    },
+  };
+}
+
+function parseHttpUrl(value, flag) {
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+    throw new CliError(`${flag} must be an http:// or https:// URL, got "${value}"`);
+  }
+  return url;
+}
+
+// Registry, mirror, proxy and CA settings given on the command line. They are
+// written into the generated .npmrc / .yarnrc.yml and used for fetching.
+function networkOverrides(source, cwd = process.cwd()) {
+  const overrides = {};
+  ["registry", "electronMirror"].forEach((key) => {
+    if (!source[key]) return;
+    parseHttpUrl(source[key], key === "registry" ? "--registry" : "--electron-mirror");
+    overrides[key] = source[key].endsWith("/") ? source[key] : `${source[key]}/`;
+  });
+  if (source.proxy) {
+    parseHttpUrl(source.proxy, "--proxy");
+    overrides.proxy = source.proxy;
+  }
+  if (source.noproxy) overrides.noproxy = source.noproxy;
+  if (source.pipIndexUrl) {
+    parseHttpUrl(source.pipIndexUrl, "--pip-index-url");
+    overrides.pipIndexUrl = source.pipIndexUrl;
+  }
+  if (source.goproxy) {
+    // Same syntax as $GOPROXY: URLs separated by "," or "|", plus direct/off.
+    source.goproxy
+      .split(/[,|]/)
+      .filter((entry) => entry !== "direct" && entry !== "off")
+      .forEach((entry) => parseHttpUrl(entry, "--goproxy"));
+    overrides.goproxy = source.goproxy;
+  }
+  if (source.cafile) {
+    const cafile = path.resolve(cwd, source.cafile);
+    if (!fs.existsSync(cafile)) {
+      throw new CliError(`--cafile not found: ${cafile}`);
+    }
+    overrides.cafile = cafile;
+  }
+  return overrides;
+}
+
+// --mirror is a preset for npmmirror.com (plus Aliyun PyPI and goproxy.cn for
+// the Python and Go backends); explicit URLs take precedence.
+function networkSettings(useMirror, overrides = {}) {
+  return {
+    registry: overrides.registry || (useMirror ? NPM_MIRROR_REGISTRY : null),
+    electronMirror: overrides.electronMirror || (useMirror ? ELECTRON_MIRROR : null),
+    pipIndexUrl: overrides.pipIndexUrl || (useMirror ? PIP_MIRROR_INDEX : null),
+    goproxy: overrides.goproxy || (useMirror ? GOPROXY_MIRROR : null),
+    proxy: overrides.proxy || null,
+    noproxy: overrides.noproxy || null,
+    cafile: overrides.cafile || null,
+  };
+}
+
+// Same rules as curl and npm: --proxy wins, otherwise HTTPS_PROXY for https
+// and HTTP_PROXY for http URLs, unless the host matches NO_PROXY.
+function proxyFor(url, settings = {}, env = process.env) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const noproxy = settings.noproxy || env.NO_PROXY || env.no_proxy || "";
+  const bypass = noproxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") return true;
+      const name = (/^[^:]+:\d+$/.test(entry) ? entry.split(":")[0] : entry)
+        .replace(/^\*?\./, "")
+        .toLowerCase();
+      return host === name || host.endsWith(`.${name}`);
+    });
+  if (bypass) return null;
+  const value =
+    settings.proxy ||
+    (target.protocol === "https:"
+      ? env.HTTPS_PROXY || env.https_proxy
+      : env.HTTP_PROXY || env.http_proxy);
+  return value ? new URL(value) : null;
+}
+
+// NODE_EXTRA_CA_CERTS already extends the default store, but an explicit `ca`
+// replaces that store, so a --cafile has to bring both back in.
+function certificatesFor(settings) {
+  if (!settings.cafile) return undefined;
+  const ca = [...tls.rootCertificates, fs.readFileSync(settings.cafile, "utf8")];
+  const extra = process.env.NODE_EXTRA_CA_CERTS;
+  if (extra && fs.existsSync(extra)) ca.push(fs.readFileSync(extra, "utf8"));
+  return ca;
+}
+
+function requestUrl(url, settings, callback) {
+  const target = new URL(url);
+  const proxy = proxyFor(target, settings);
+  const ca = certificatesFor(settings);
+  const headers = { accept: "application/json", "user-agent": `electroinit/${GENERATOR_VERSION}` };
+  const proxyHeaders = { host: target.host };
+  if (proxy && proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    proxyHeaders["proxy-authorization"] = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+  const proxyClient = proxy && proxy.protocol === "https:" ? https : http;
+  const proxyPort = proxy && (proxy.port || (proxy.protocol === "https:" ? 443 : 80));
+
+  if (target.protocol === "http:") {
+    if (!proxy) return http.get(target, { headers }, callback);
+    return proxyClient.get(
+      {
+        host: proxy.hostname,
+        port: proxyPort,
+        path: target.href,
+        headers: { ...headers, ...proxyHeaders },
+        ca,
+      },
+      callback
+    );
+  }
+  if (!proxy) return https.get(target, { headers, ca }, callback);
+
+  // https through a proxy: open a CONNECT tunnel and run TLS inside it.
+  const createConnection = (_opts, oncreate) => {
+    const connect = proxyClient.request({
+      host: proxy.hostname,
+      port: proxyPort,
+      method: "CONNECT",
+      path: `${target.hostname}:${target.port || 443}`,
+      headers: proxyHeaders,
+      ca,
+    });
+    connect.setTimeout(FETCH_TIMEOUT_MS, () => {
+      connect.destroy(new Error(`Timed out connecting to proxy ${proxy.host}`));
+    });
+    connect.once("connect", (res, socket) => {
+      connect.setTimeout(0);
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        oncreate(new Error(`Proxy ${proxy.host} refused CONNECT (HTTP ${res.statusCode})`));
+        return;
+      }
+      oncreate(null, tls.connect({ socket, servername: target.hostname, ca }));
+    });
+    connect.once("error", oncreate);
+    connect.end();
+  };
+  return https.get(target, { headers, ca, createConnection }, callback);
+}
+
+function fetchJson(url, settings = {}, redirects = 0) {
   return new Promise((resolve, reject) => {
-    https
-      .get(url, (res) => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}`));
-          res.resume();
+    const req = requestUrl(url, settings, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= FETCH_MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects fetching ${url}`));
           return;
         }
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (err) {
-            reject(err);
-          }
-        });
-      })
-      .on("error", reject);
+        const next = new URL(res.headers.location, url).toString();
+        fetchJson(next, settings, redirects + 1).then(resolve, reject);
+        return;
+      }
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode}`));
+        res.resume();
+        return;
+      }
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+    req.setTimeout(FETCH_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s fetching ${url}`));
+    });
+    req.on("error", reject);
   });
 }
 
-function pickElectronVersion(releases, nodeMajor) {
-  const candidates = releases
-    .map((r) => {
-      const version = normalizeVersion(r.version || r.tag_name || "");
-      const node = r.node || (r.deps && r.deps.node) || "";
-      return {
-        version,
-        node,
-        nodeMajor: parseMajor(node),
-      };
-    })
-    .filter((r) => r.version && r.nodeMajor !== null)
-    .filter((r) => !isPreRelease(r.version));
+function getCacheDir() {
+  if (process.env.ELECTROINIT_CACHE_DIR) {
+    return path.resolve(process.env.ELECTROINIT_CACHE_DIR);
+  }
+  if (process.env.XDG_CACHE_HOME) {
+    return path.join(process.env.XDG_CACHE_HOME, "electroinit");
+  }
+  if (isWindows && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, "electroinit");
+  }
+  return path.join(os.homedir(), ".cache", "electroinit");
+}
+
+function readReleasesFile(file) {
+  const releases = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(releases)) {
+    throw new Error(`Expected a JSON array of releases in ${file}`);
+  }
+  return releases;
+}
+
+async function loadReleases() {
+  if (options.releasesFile) {
+    const file = path.resolve(process.cwd(), options.releasesFile);
+    try {
+      return { releases: readReleasesFile(file), source: file };
+    } catch (err) {
+      throw new CliError(`Failed to read releases file ${file}: ${err.message}`);
+    }
+  }
+
+  const releasesUrl = options.releasesUrl || RELEASES_URL;
+  // A custom releases URL gets its own cache file next to the default one.
+  const cacheName =
+    releasesUrl === RELEASES_URL
+      ? RELEASES_CACHE_FILE
+      : `releases-${crypto.createHash("sha256").update(releasesUrl).digest("hex").slice(0, 8)}.json`;
+  const cacheFile = path.join(getCacheDir(), cacheName);
+  let cached = null;
+  let cacheAge = Infinity;
+  if (fs.existsSync(cacheFile)) {
+    try {
+      cached = readReleasesFile(cacheFile);
+      cacheAge = Date.now() - fs.statSync(cacheFile).mtimeMs;
+    } catch (err) {
+      console.error(`Ignoring unreadable releases cache ${cacheFile}: ${err.message}`);
+    }
+  }
+
+  if (options.offline) {
+    if (!cached) {
+      throw new CliError(
+        `--offline given but no releases cache at ${cacheFile}. ` +
+          "Run once online or pass --releases-file <path>."
+      );
+    }
+    return { releases: cached, source: `${cacheFile} (offline)` };
+  }
+
+  if (cached && (cacheAge < RELEASES_CACHE_TTL_MS || options.preferOffline) && !options.refreshReleases) {
+    return { releases: cached, source: `${cacheFile} (cached)` };
+  }
 
-  const exact = candidates.filter((r) => r.nodeMajor === nodeMajor);
-  if (exact.length > 0) {
-    exact.sort((a, b) => compareSemver(parseSemver(b.version), parseSemver(a.version)));
-    return { ...exact[0], match: "exact" };
+  const proxy = proxyFor(releasesUrl, network);
+  console.log(
+    `Fetching Electron releases from ${releasesUrl}${proxy ? ` via proxy ${proxy.host}` : ""}...`
+  );
+  try {
+    const releases = await fetchJson(releasesUrl, network);
+    if (!Array.isArray(releases)) {
+      throw new Error("Unexpected releases payload");
+    }
+    try {
+      writeFile(cacheFile, JSON.stringify(releases));
+    } catch (err) {
+      console.error(`Failed to update releases cache ${cacheFile}: ${err.message}`);
+    }
+    return { releases, source: releasesUrl };
+  } catch (err) {
+    console.error(`Failed to fetch Electron releases: ${err.message}`);
   }
 
-  const lower = candidates.filter((r) => r.nodeMajor < nodeMajor);
-  if (lower.length > 0) {
-    lower.sort((a, b) => compareSemver(parseSemver(b.version), parseSemver(a.version)));
-    return { ...lower[0], match: "lower" };
+  if (cached) {
+    console.log(`Falling back to stale releases cache: ${cacheFile}`);
+    return { releases: cached, source: `${cacheFile} (stale)` };
   }
+  return { releases: null, source: null };
+}
 
-  candidates.sort((a, b) => compareSemver(parseSemver(b.version), parseSemver(a.version)));
-  return candidates[0] ? { ...candidates[0], match: "any" } : null;
+function releaseChannel(version) {
+  const pre = normalizeVersion(version).split("-")[1];
+  if (!pre) return "stable";
+  return pre.split(".")[0];
 }
 
-function buildGitignore() {
-  return [
-    "node_modules/",
-    "dist/",
-    "logs/",
-    "data/*.db",
-    "*.log",
-    "npm-debug.log*",
-    "yarn-debug.log*",
-    "yarn-error.log*",
-    ".DS_Store",
-    "Thumbs.db",
-    ".idea/",
-    ".vscode/",
-    ".fleet/",
-    ".env",
-    "coverage/",
-    "out/",
-  ].join("\n");
-}
-
-function buildElectronMain() {
-  return [
-    "const { app, BrowserWindow } = require(\"electron\");",
-    "const path = require(\"path\");",
-    "const fs = require(\"fs\");",
-    "",
-    "function createWindow() {",
-    "  const win = new BrowserWindow({",
-    "    width: 1200,",
-    "    height: 800,",
-    "    webPreferences: {",
-    "      preload: path.join(__dirname, \"preload.js\"),",
-    "      contextIsolation: true,",
-    "    },",
-    "  });",
-    "",
-    "  const devUrl = process.env.ELECTRON_DEV_URL;",
-    "  if (devUrl) {",
-    "    win.loadURL(devUrl);",
-    "    return;",
-    "  }",
-    "",
-    "  const distPath = path.join(__dirname, \"..\", \"frontend\", \"dist\", \"index.html\");",
-    "  if (fs.existsSync(distPath)) {",
-    "    win.loadFile(distPath);",
-    "    return;",
-    "  }",
-    "",
-    "  win.loadURL(",
-    "    \"data:text/html,\" +",
-    "      encodeURIComponent(",
-    "        \"<h2>Frontend not built</h2><p>Run frontend build or dev server.</p>\"",
-    "      )",
-    "  );",
-    "}",
-    "",
-    "app.whenReady().then(() => {",
-    "  createWindow();",
-    "",
-    "  app.on(\"activate\", () => {",
-    "    if (BrowserWindow.getAllWindows().length === 0) createWindow();",
-    "  });",
-    "});",
-    "",
-    "app.on(\"window-all-closed\", () => {",
-    "  if (process.platform !== \"darwin\") app.quit();",
-    "});",
-    "",
-  ].join("\n");
-}
-
-function buildElectronPreload() {
-  return [
-    "const { contextBridge } = require(\"electron\");",
-    "",
-    "contextBridge.exposeInMainWorld(\"api\", {",
-    "  ping: () => \"pong\",",
-    "});",
-    "",
-  ].join("\n");
+// Semver order including pre-releases: 32.0.0-beta.10 > 32.0.0-beta.9, and a
+// stable release is newer than its own betas.
+function compareVersions(a, b) {
+  const core = compareSemver(parseSemver(a), parseSemver(b));
+  if (core !== 0) return core;
+  const preA = normalizeVersion(a).split("-")[1] || "";
+  const preB = normalizeVersion(b).split("-")[1] || "";
+  if (!preA || !preB) return (preA ? -1 : 0) - (preB ? -1 : 0);
+  return preA.localeCompare(preB, "en", { numeric: true });
 }
 
-function buildFrontendIndexHtml() {
-  return [
-    "<!doctype html>",
-    "<html lang=\"en\">",
-    "  <head>",
-    "    <meta charset=\"UTF-8\" />",
-    "    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\" />",
-    "    <title>ElectroInit</title>",
-    "  </head>",
-    "  <body class=\"bg-background text-foreground\">",
-    "    <div id=\"root\"></div>",
-    "    <script type=\"module\" src=\"/src/main.tsx\"></script>",
-    "  </body>",
-    "</html>",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendMainTsx() {
-  return [
-    "import React from \"react\";",
-    "import ReactDOM from \"react-dom/client\";",
-    "import App from \"./App\";",
-    "import \"./index.css\";",
-    "",
-    "ReactDOM.createRoot(document.getElementById(\"root\")!).render(",
-    "  <React.StrictMode>",
-    "    <App />",
-    "  </React.StrictMode>",
-    ");",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendAppTsx() {
-  return [
-    "export default function App() {",
-    "  return (",
-    "    <div className=\"min-h-screen bg-background text-foreground\">",
-    "      <div className=\"mx-auto flex min-h-screen max-w-4xl flex-col gap-6 px-6 py-16\">",
-    "        <div className=\"rounded-2xl border bg-card p-8 shadow-sm\">",
-    "          <p className=\"text-sm font-medium uppercase tracking-wide text-muted-foreground\">",
-    "            ElectroInit",
-    "          </p>",
-    "          <h1 className=\"mt-3 text-3xl font-semibold\">",
-    "            React + Vite + Tailwind + shadcn/ui",
-    "          </h1>",
-    "          <p className=\"mt-2 text-base text-muted-foreground\">",
-    "            Frontend scaffold is ready. Run the dev script to enable hot reload.",
-    "          </p>",
-    "          <div className=\"mt-6 flex flex-wrap gap-3\">",
-    "            <button className=\"rounded-md bg-primary px-4 py-2 text-sm font-medium text-primary-foreground\">",
-    "              Primary Action",
-    "            </button>",
-    "            <button className=\"rounded-md border px-4 py-2 text-sm font-medium\">",
-    "              Secondary",
-    "            </button>",
-    "          </div>",
-    "        </div>",
-    "      </div>",
-    "    </div>",
-    "  );",
-    "}",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendCss() {
-  return [
-    "@tailwind base;",
-    "@tailwind components;",
-    "@tailwind utilities;",
-    "",
-    "@layer base {",
-    "  :root {",
-    "    --background: 0 0% 100%;",
-    "    --foreground: 222.2 84% 4.9%;",
-    "    --card: 0 0% 100%;",
-    "    --card-foreground: 222.2 84% 4.9%;",
-    "    --popover: 0 0% 100%;",
-    "    --popover-foreground: 222.2 84% 4.9%;",
-    "    --primary: 222.2 47.4% 11.2%;",
-    "    --primary-foreground: 210 40% 98%;",
-    "    --secondary: 210 40% 96.1%;",
-    "    --secondary-foreground: 222.2 47.4% 11.2%;",
-    "    --muted: 210 40% 96.1%;",
-    "    --muted-foreground: 215.4 16.3% 46.9%;",
-    "    --accent: 210 40% 96.1%;",
-    "    --accent-foreground: 222.2 47.4% 11.2%;",
-    "    --destructive: 0 84.2% 60.2%;",
-    "    --destructive-foreground: 210 40% 98%;",
-    "    --border: 214.3 31.8% 91.4%;",
-    "    --input: 214.3 31.8% 91.4%;",
-    "    --ring: 222.2 84% 4.9%;",
-    "    --radius: 0.75rem;",
-    "  }",
-    "",
-    "  .dark {",
-    "    --background: 222.2 84% 4.9%;",
-    "    --foreground: 210 40% 98%;",
-    "    --card: 222.2 84% 4.9%;",
-    "    --card-foreground: 210 40% 98%;",
-    "    --popover: 222.2 84% 4.9%;",
-    "    --popover-foreground: 210 40% 98%;",
-    "    --primary: 210 40% 98%;",
-    "    --primary-foreground: 222.2 47.4% 11.2%;",
-    "    --secondary: 217.2 32.6% 17.5%;",
-    "    --secondary-foreground: 210 40% 98%;",
-    "    --muted: 217.2 32.6% 17.5%;",
-    "    --muted-foreground: 215 20.2% 65.1%;",
-    "    --accent: 217.2 32.6% 17.5%;",
-    "    --accent-foreground: 210 40% 98%;",
-    "    --destructive: 0 62.8% 30.6%;",
-    "    --destructive-foreground: 210 40% 98%;",
-    "    --border: 217.2 32.6% 17.5%;",
-    "    --input: 217.2 32.6% 17.5%;",
-    "    --ring: 212.7 26.8% 83.9%;",
-    "  }",
-    "}",
-    "",
-    "@layer base {",
-    "  * {",
-    "    @apply border-border;",
-    "  }",
-    "  body {",
-    "    @apply bg-background text-foreground;",
-    "  }",
-    "}",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendViteConfig() {
-  return [
-    "import { defineConfig } from \"vite\";",
-    "import react from \"@vitejs/plugin-react\";",
-    "import path from \"path\";",
-    "",
-    "export default defineConfig({",
-    "  plugins: [react()],",
-    "  resolve: {",
-    "    alias: {",
-    "      \"@\": path.resolve(__dirname, \"src\"),",
-    "    },",
-    "  },",
-    "  server: {",
-    "    port: 5173,",
-    "    strictPort: true,",
-    "  },",
-    "});",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendTsconfig() {
-  return [
-    "{",
-    "  \"compilerOptions\": {",
-    "    \"target\": \"ES2020\",",
-    "    \"useDefineForClassFields\": true,",
-    "    \"lib\": [\"ES2020\", \"DOM\", \"DOM.Iterable\"],",
-    "    \"module\": \"ESNext\",",
-    "    \"skipLibCheck\": true,",
-    "    \"moduleResolution\": \"bundler\",",
-    "    \"allowImportingTsExtensions\": true,",
-    "    \"resolveJsonModule\": true,",
-    "    \"isolatedModules\": true,",
-    "    \"noEmit\": true,",
-    "    \"jsx\": \"react-jsx\",",
-    "    \"strict\": true,",
-    "    \"noUnusedLocals\": true,",
-    "    \"noUnusedParameters\": true,",
-    "    \"noFallthroughCasesInSwitch\": true,",
-    "    \"baseUrl\": \".\",",
-    "    \"paths\": {",
-    "      \"@/*\": [\"src/*\"]",
-    "    }",
-    "  },",
-    "  \"include\": [\"src\"]",
-    "}",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendTsconfigNode() {
-  return [
-    "{",
-    "  \"compilerOptions\": {",
-    "    \"composite\": true,",
-    "    \"skipLibCheck\": true,",
-    "    \"module\": \"ESNext\",",
-    "    \"moduleResolution\": \"bundler\",",
-    "    \"allowSyntheticDefaultImports\": true",
-    "  },",
-    "  \"include\": [\"vite.config.ts\"]",
-    "}",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendPostcssConfig() {
-  return [
-    "module.exports = {",
-    "  plugins: {",
-    "    tailwindcss: {},",
-    "    autoprefixer: {},",
-    "  },",
-    "};",
-    "",
-  ].join("\n");
+function normalizeRelease(r) {
+  const version = normalizeVersion(r.version || r.tag_name || "");
+  const node = r.node || (r.deps && r.deps.node) || "";
+  return {
+    version,
+    major: parseMajor(version),
+    channel: releaseChannel(version),
+    node,
+    nodeMajor: parseMajor(node),
+    chrome: r.chrome || (r.deps && r.deps.chrome) || "",
+    date: String(r.date || r.published_at || "").slice(0, 10),
+  };
 }
 
-function buildFrontendTailwindConfig() {
-  return [
-    "import type { Config } from \"tailwindcss\";",
-    "",
-    "export default {",
-    "  darkMode: [\"class\"],",
-    "  content: [\"./index.html\", \"./src/**/*.{ts,tsx}\"],",
-    "  theme: {",
-    "    extend: {",
-    "      colors: {",
-    "        border: \"hsl(var(--border))\",",
-    "        input: \"hsl(var(--input))\",",
-    "        ring: \"hsl(var(--ring))\",",
-    "        background: \"hsl(var(--background))\",",
-    "        foreground: \"hsl(var(--foreground))\",",
-    "        primary: {",
-    "          DEFAULT: \"hsl(var(--primary))\",",
-    "          foreground: \"hsl(var(--primary-foreground))\",",
-    "        },",
-    "        secondary: {",
-    "          DEFAULT: \"hsl(var(--secondary))\",",
-    "          foreground: \"hsl(var(--secondary-foreground))\",",
-    "        },",
-    "        destructive: {",
-    "          DEFAULT: \"hsl(var(--destructive))\",",
-    "          foreground: \"hsl(var(--destructive-foreground))\",",
-    "        },",
-    "        muted: {",
-    "          DEFAULT: \"hsl(var(--muted))\",",
-    "          foreground: \"hsl(var(--muted-foreground))\",",
-    "        },",
-    "        accent: {",
-    "          DEFAULT: \"hsl(var(--accent))\",",
-    "          foreground: \"hsl(var(--accent-foreground))\",",
-    "        },",
-    "        popover: {",
-    "          DEFAULT: \"hsl(var(--popover))\",",
-    "          foreground: \"hsl(var(--popover-foreground))\",",
-    "        },",
-    "        card: {",
-    "          DEFAULT: \"hsl(var(--card))\",",
-    "          foreground: \"hsl(var(--card-foreground))\",",
-    "        },",
-    "      },",
-    "      borderRadius: {",
-    "        lg: \"var(--radius)\",",
-    "        md: \"calc(var(--radius) - 2px)\",",
-    "        sm: \"calc(var(--radius) - 4px)\",",
-    "      },",
-    "    },",
-    "  },",
-    "  plugins: [require(\"tailwindcss-animate\")],",
-    "} satisfies Config;",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendViteEnv() {
-  return ["/// <reference types=\"vite/client\" />", ""].join("\n");
-}
-
-function buildFrontendComponentsJson() {
-  return [
-    "{",
-    "  \"$schema\": \"https://ui.shadcn.com/schema.json\",",
-    "  \"style\": \"new-york\",",
-    "  \"rsc\": false,",
-    "  \"tsx\": true,",
-    "  \"tailwind\": {",
-    "    \"config\": \"tailwind.config.ts\",",
-    "    \"css\": \"src/index.css\",",
-    "    \"baseColor\": \"slate\",",
-    "    \"cssVariables\": true,",
-    "    \"prefix\": \"\"",
-    "  },",
-    "  \"aliases\": {",
-    "    \"components\": \"@/components\",",
-    "    \"utils\": \"@/lib/utils\"",
-    "  }",
-    "}",
-    "",
-  ].join("\n");
-}
-
-function buildFrontendUtils() {
-  return [
-    "import { clsx, type ClassValue } from \"clsx\";",
-    "import { twMerge } from \"tailwind-merge\";",
-    "",
-    "export function cn(...inputs: ClassValue[]) {",
-    "  return twMerge(clsx(inputs));",
-    "}",
-    "",
-  ].join("\n");
+// Electron supports the latest SUPPORTED_MAJORS stable majors: a major drops
+// out once enough newer majors have had a stable release by `now`. Betas of
+// the next major are not out of support yet, so callers keep those too.
+function supportedMajors(releases, now) {
+  const released = new Set(
+    releases
+      .filter((r) => r.version && r.channel === "stable")
+      .filter((r) => !r.date || Date.parse(r.date) <= now)
+      .map((r) => r.major)
+  );
+  return new Set([...released].sort((a, b) => b - a).slice(0, SUPPORTED_MAJORS));
+}
+
+// The --electron-channel/--electron-major/--supported-only filters as a
+// predicate over normalized releases; `all` decides which majors are supported.
+function electronReleaseFilter(all, filters = {}) {
+  const { major = null, channel = "stable", supportedOnly = false, now = Date.now() } = filters;
+  const supported = supportedOnly ? supportedMajors(all, now) : null;
+  const newestSupported = supported ? Math.max(...supported) : null;
+  return (r) =>
+    (r.channel === "stable" || (channel === "beta" && r.channel === "beta")) &&
+    (!supported || supported.has(r.major) || (r.channel !== "stable" && r.major > newestSupported)) &&
+    (major === null || r.major === major);
+}
+
+function listElectronCandidates(releases, nodeMajor, filters = {}) {
+  const all = releases.map(normalizeRelease);
+  const candidates = all
+    .filter((r) => r.version && r.nodeMajor !== null)
+    .filter(electronReleaseFilter(all, filters));
+
+  const newest = new Map();
+  candidates.forEach((r) => {
+    const current = newest.get(r.major);
+    if (!current || compareVersions(r.version, current.version) > 0) newest.set(r.major, r);
+  });
+  const rank = { exact: 0, lower: 1, any: 2 };
+  return [...newest.values()]
+    .map((r) => {
+      let match = "any";
+      if (r.nodeMajor === nodeMajor) match = "exact";
+      else if (r.nodeMajor < nodeMajor) match = "lower";
+      return { ...r, match };
+    })
+    .sort((a, b) => rank[a.match] - rank[b.match] || compareVersions(b.version, a.version));
+}
+
+function pickElectronVersion(releases, nodeMajor, filters = {}) {
+  return listElectronCandidates(releases, nodeMajor, filters)[0] || null;
 }
 
-function buildFrontendPackageJson(projectName) {
+function buildFrontendPackageJson(projectName, workspace = false) {
   const pkg = {
     name: `${projectName}-frontend`,
     private: true,
@@ -591,6 +1133,7 @@ function buildFrontendPackageJson(projectName) {
       dev: "vite",
       build: "vite build",
       preview: "vite preview",
+      test: "vitest run",
     },
     dependencies: {
       react: "^18.3.1",
@@ -600,521 +1143,2472 @@ function buildFrontendPackageJson(projectName) {
       "class-variance-authority": "^0.7.1",
     },
     devDependencies: {
+      "@testing-library/dom": "^10.4.0",
+      "@testing-library/jest-dom": "^6.6.3",
+      "@testing-library/react": "^16.0.1",
       "@types/react": "^18.3.12",
       "@types/react-dom": "^18.3.1",
       "@vitejs/plugin-react": "^4.3.4",
       autoprefixer: "^10.4.20",
+      jsdom: "^25.0.1",
       postcss: "^8.4.47",
       tailwindcss: "^3.4.15",
       "tailwindcss-animate": "^1.0.7",
-      typescript: "^5.6.3",
+      typescript: SHARED_DEV_DEPENDENCIES.typescript,
       vite: "^5.4.10",
+      vitest: "^2.1.4",
     },
   };
-  return JSON.stringify(pkg, null, 2) + "\n";
-}
-
-function buildNodeBackend() {
-  return [
-    "const http = require(\"http\");",
-    "",
-    "const server = http.createServer((req, res) => {",
-    "  res.writeHead(200, { \"Content-Type\": \"application/json\" });",
-    "  res.end(JSON.stringify({ ok: true }));",
-    "});",
-    "",
-    "const port = process.env.PORT || 3001;",
-    "server.listen(port, () => {",
-    "  console.log(`Backend running on http://localhost:${port}`);",
-    "});",
-    "",
-  ].join("\n");
-}
-
-function buildFastApiBackend() {
-  return [
-    "from fastapi import FastAPI",
-    "import uvicorn",
-    "",
-    "app = FastAPI()",
-    "",
-    "@app.get(\"/\")",
-    "def read_root():",
-    "    return {\"ok\": True}",
-    "",
-    "if __name__ == \"__main__\":",
-    "    uvicorn.run(app, host=\"0.0.0.0\", port=3001)",
-    "",
-  ].join("\n");
-}
-
-function buildGinBackend() {
-  return [
-    "package main",
-    "",
-    "import (",
-    "  \"net/http\"",
-    "  \"github.com/gin-gonic/gin\"",
-    ")",
-    "",
-    "func main() {",
-    "  r := gin.Default()",
-    "  r.GET(\"/\", func(c *gin.Context) {",
-    "    c.JSON(http.StatusOK, gin.H{\"ok\": true})",
-    "  })",
-    "  r.Run(\":3001\")",
-    "}",
-    "",
-  ].join("\n");
-}
-
-function buildDocs() {
-  return [
-    "# Project Docs",
-    "",
-    "This folder is reserved for project documentation.",
-    "",
-  ].join("\n");
-}
-
-function buildScripts(isWindows, backend) {
-  if (isWindows) {
-    const start = [
-      "$ErrorActionPreference = \"Stop\"",
-      "Write-Host \"Starting Electron...\"",
-      "npx electron .",
-      "",
-    ].join("\n");
-    const dev = [
-      "$ErrorActionPreference = \"Stop\"",
-      "$root = Resolve-Path \"$PSScriptRoot\\..\"",
-      "$frontend = Join-Path $root \"src\\frontend\"",
-      "$env:ELECTRON_DEV_URL = \"http://localhost:5173\"",
-      "Write-Host \"Starting Vite dev server...\"",
-      "$vite = Start-Process -PassThru -NoNewWindow -WorkingDirectory $frontend -FilePath \"cmd.exe\" -ArgumentList \"/c\",\"npm\",\"run\",\"dev\"",
-      "Start-Sleep -Seconds 2",
-      "Write-Host \"Starting Electron...\"",
-      "Set-Location $root",
-      "try {",
-      "  npx electron .",
-      "} finally {",
-      "  if ($vite -and -not $vite.HasExited) {",
-      "    Write-Host \"Stopping Vite dev server...\"",
-      "    taskkill /T /F /PID $vite.Id 2>$null",
-      "  }",
-      "}",
-      "",
-    ].join("\n");
-    const build = [
-      "$ErrorActionPreference = \"Stop\"",
-      "Write-Host \"Build script placeholder.\"",
-      "",
-    ].join("\n");
-    let backendCmd = backend.startCommandWindows;
-    const backendScript = [
-      "$ErrorActionPreference = \"Stop\"",
-      "Write-Host \"Starting backend...\"",
-      backendCmd,
-      "",
-    ].join("\n");
-
-    return {
-      "start.ps1": start,
-      "dev.ps1": dev,
-      "build.ps1": build,
-      "start-backend.ps1": backendScript,
-    };
+  if (workspace) {
+    Object.keys(SHARED_DEV_DEPENDENCIES).forEach((name) => delete pkg.devDependencies[name]);
   }
-
-  const start = [
-    "#!/usr/bin/env bash",
-    "set -euo pipefail",
-    "echo \"Starting Electron...\"",
-    "npx electron .",
-    "",
-  ].join("\n");
-  const dev = [
-    "#!/usr/bin/env bash",
-    "set -euo pipefail",
-    "root=\"$(cd \"$(dirname \"$0\")/..\" && pwd)\"",
-    "export ELECTRON_DEV_URL=\"http://localhost:5173\"",
-    "echo \"Starting Vite dev server...\"",
-    "( cd \"$root/src/frontend\" && npm run dev ) &",
-    "vite_pid=$!",
-    "cleanup() {",
-    "  if kill -0 \"$vite_pid\" 2>/dev/null; then",
-    "    echo \"Stopping Vite dev server...\"",
-    "    kill \"$vite_pid\" 2>/dev/null || true",
-    "  fi",
-    "}",
-    "trap cleanup EXIT INT TERM",
-    "sleep 2",
-    "echo \"Starting Electron...\"",
-    "cd \"$root\"",
-    "npx electron .",
-    "",
-  ].join("\n");
-  const build = [
-    "#!/usr/bin/env bash",
-    "set -euo pipefail",
-    "echo \"Build script placeholder.\"",
-    "",
-  ].join("\n");
-  let backendCmd = backend.startCommandUnix;
-  const backendScript = [
-    "#!/usr/bin/env bash",
-    "set -euo pipefail",
-    "echo \"Starting backend...\"",
-    backendCmd,
-    "",
-  ].join("\n");
-
-  return {
-    "start.sh": start,
-    "dev.sh": dev,
-    "build.sh": build,
-    "start-backend.sh": backendScript,
-  };
+  return JSON.stringify(pkg, null, 2) + "\n";
 }
 
-function writeExecutableIfUnix(target, content, isWindows) {
-  writeFile(target, content);
-  if (!isWindows) {
-    fs.chmodSync(target, 0o755);
-  }
+function isInsideDir(file, dir) {
+  const rel = path.relative(dir, file);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
 }
 
-function copyDir(src, dest, isRoot) {
+function copyDir(src, dest, opts = {}, root = { src, dest }) {
   if (!fs.existsSync(src)) {
     throw new Error(`Template directory not found: ${src}`);
   }
   ensureDir(dest);
   const entries = fs.readdirSync(src, { withFileTypes: true });
   for (const entry of entries) {
-    if (isRoot && COPY_IGNORE.has(entry.name)) continue;
+    if (src === root.src && COPY_IGNORE.has(entry.name)) continue;
+    if (opts.skipDependencies && DEPENDENCY_DIRS.has(entry.name)) continue;
     const from = path.join(src, entry.name);
     const to = path.join(dest, entry.name);
     if (entry.isDirectory()) {
-      copyDir(from, to, false);
+      copyDir(from, to, opts, root);
+    } else if (entry.isSymbolicLink()) {
+      // Keep links such as node_modules/.bin working, and point absolute links
+      // into the source tree at the same place in the copy.
+      let link = fs.readlinkSync(from);
+      if (path.isAbsolute(link) && isInsideDir(link, root.src)) {
+        link = path.join(root.dest, path.relative(root.src, link));
+      }
+      fs.symlinkSync(link, to);
     } else if (entry.isFile()) {
-      ensureDir(path.dirname(to));
       fs.copyFileSync(from, to);
+      fs.chmodSync(to, fs.statSync(from).mode);
     }
   }
 }
 
-function runNpmInstall(cwd, env, label) {
-  const installArgs = ["install"];
-  if (!enableAudit) installArgs.push("--no-audit");
+function personalizeScaffold(targetDir, fromName, toName) {
+  if (fromName === toName) return [];
+  const replacements = [
+    [buildAppId(fromName), buildAppId(toName)],
+    [fromName, toName],
+  ];
+  const changed = [];
+  listFiles(targetDir).forEach((rel) => {
+    const file = path.join(targetDir, rel);
+    const content = readTemplateFile(file);
+    if (Buffer.isBuffer(content) || !content.includes(fromName)) return;
+    const updated = replacements.reduce((text, [from, to]) => text.split(from).join(to), content);
+    fs.writeFileSync(file, updated, "utf8");
+    changed.push(rel);
+  });
+  return changed;
+}
 
-  console.log(`Installing npm dependencies${label ? ` (${label})` : ""}...`);
-  let install;
-  if (isWindows) {
-    const cmdExe = process.env.ComSpec || "cmd.exe";
-    install = spawnSync(cmdExe, ["/c", "npm", ...installArgs], {
-      cwd,
-      stdio: "inherit",
-      env,
-      windowsHide: true,
+function buildAppId(projectName) {
+  return `com.electroinit.${projectName.replace(/[^a-z0-9-]+/g, "-")}`;
+}
+
+function workspaceDirs(backend) {
+  return backend && backend.workspace ? ["src/frontend", "src/backend"] : ["src/frontend"];
+}
+
+function buildRootPackageJson(projectName, electronVersion, opts = {}) {
+  const {
+    electronTs = false,
+    packageManager = "npm",
+    packageManagerVersion = null,
+    workspace = null,
+    api = false,
+  } = opts;
+  const pm = getPackageManager(packageManager);
+  const frontendRun = (script) =>
+    workspace ? pm.runWorkspace(`${projectName}-frontend`, script) : pm.runIn("src/frontend", script);
+  const pkg = {
+    name: projectName,
+    version: "0.1.0",
+    private: true,
+    description: `${projectName} desktop app`,
+    main: "src/electron/main.js",
+    scripts: {
+      start: "electron .",
+      dev: "node scripts/dev.mjs",
+      "electron:dev": "electron .",
+      "dev:frontend": frontendRun("dev"),
+      "build:frontend": frontendRun("build"),
+      "build:backend": "node scripts/build-backend.mjs",
+      build: `${pm.run} build:frontend && ${pm.run} build:backend`,
+      "electron:pack": `${pm.run} build && electron-builder --dir`,
+      "electron:dist": `${pm.run} build && electron-builder --linux`,
+      test: `${pm.run} test:unit && ${pm.run} test:backend && ${pm.run} test:e2e`,
+      "test:unit": frontendRun("test"),
+      "test:backend": "node scripts/test-backend.mjs",
+      "test:e2e": "node scripts/run-e2e.mjs",
+    },
+    devDependencies: {
+      "@playwright/test": "^1.48.2",
+      electron: electronVersion,
+      "electron-builder": "^25.1.8",
+    },
+  };
+  if (electronTs) {
+    pkg.main = "dist-electron/main.js";
+    Object.assign(pkg.scripts, {
+      start: `${pm.run} build:electron && electron .`,
+      "electron:dev": "node scripts/build-electron.mjs --watch --electron",
+      "build:electron": "node scripts/build-electron.mjs",
+      "typecheck:electron": "tsc -p src/electron",
+      build: `${pm.run} build:electron && ${pm.run} build:frontend && ${pm.run} build:backend`,
     });
-  } else {
-    install = spawnSync(npmCommand, installArgs, {
-      cwd,
-      stdio: "inherit",
-      env,
+    Object.assign(pkg.devDependencies, {
+      "@types/node": SHARED_DEV_DEPENDENCIES["@types/node"],
+      esbuild: "^0.21.5",
+      typescript: SHARED_DEV_DEPENDENCIES.typescript,
     });
   }
+  if (api) {
+    pkg.scripts["gen:api"] = "node scripts/gen-api.mjs";
+  }
+  if (workspace) {
+    // pnpm reads its package list from pnpm-workspace.yaml instead.
+    if (pm.key !== "pnpm") pkg.workspaces = workspace;
+    Object.assign(pkg.devDependencies, SHARED_DEV_DEPENDENCIES);
+    pkg.devDependencies = Object.fromEntries(
+      Object.entries(pkg.devDependencies).sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+  // pnpm 10 and bun skip dependency install scripts unless they are allowed.
+  if (pm.key === "pnpm") {
+    pkg.pnpm = { onlyBuiltDependencies: BUILT_DEPENDENCIES };
+  } else if (pm.key === "bun") {
+    pkg.trustedDependencies = BUILT_DEPENDENCIES;
+  }
+  if (packageManagerVersion) {
+    pkg.packageManager = `${pm.key}@${packageManagerVersion}`;
+  }
+  return JSON.stringify(pkg, null, 2) + "\n";
+}
 
-  if (install.status !== 0) {
-    console.error("npm install failed.");
-    if (install.error) {
-      console.error(`npm spawn error: ${install.error.message}`);
-    }
-    if (install.signal) {
-      console.error(`npm terminated by signal: ${install.signal}`);
-    }
-    if (typeof install.status === "number") {
-      console.error(`npm exit code: ${install.status}`);
-    }
-    process.exit(1);
+function buildNpmrc(useMirror, audit, packageManager = "npm", overrides = {}) {
+  if (packageManager === "yarn") return null;
+  const settings = networkSettings(useMirror, overrides);
+  const npmrcLines = [];
+  if (settings.registry) npmrcLines.push(`registry=${settings.registry}`);
+  if (settings.electronMirror) npmrcLines.push(`electron_mirror=${settings.electronMirror}`);
+  if (settings.proxy) {
+    npmrcLines.push(`proxy=${settings.proxy}`);
+    npmrcLines.push(`https-proxy=${settings.proxy}`);
   }
+  if (settings.noproxy) npmrcLines.push(`noproxy=${settings.noproxy}`);
+  if (settings.cafile) npmrcLines.push(`cafile=${settings.cafile}`);
+  if (!audit && packageManager === "npm") {
+    npmrcLines.push("audit=false");
+  }
+  return npmrcLines.length > 0 ? npmrcLines.join("\n") + "\n" : null;
 }
 
-async function main() {
-  const nodeVersion = getNodeVersion();
-  if (!nodeVersion) {
-    console.error("Node.js is not available in PATH. Please install Node.js first.");
-    process.exit(1);
+function buildYarnrc(useMirror, overrides = {}) {
+  const settings = networkSettings(useMirror, overrides);
+  // Electron and electron-builder expect a real node_modules tree, not Plug'n'Play.
+  const lines = ["nodeLinker: node-modules"];
+  if (settings.registry) lines.push(`npmRegistryServer: "${settings.registry}"`);
+  if (settings.proxy) {
+    lines.push(`httpProxy: "${settings.proxy}"`);
+    lines.push(`httpsProxy: "${settings.proxy}"`);
   }
+  if (settings.cafile) lines.push(`httpsCaFilePath: "${settings.cafile}"`);
+  return lines.join("\n") + "\n";
+}
 
-  const npmVersion = run(`${npmCommand} -v`);
-  if (!npmVersion) {
-    console.error("npm is not available in PATH. Please install npm first.");
-    process.exit(1);
+function buildLockfileIgnores(packageManager) {
+  const lines = Object.values(PACKAGE_MANAGERS)
+    .filter((pm) => pm.key !== packageManager)
+    .flatMap((pm) => pm.lockfiles);
+  if (packageManager === "yarn") {
+    lines.push(".yarn/*", "!.yarn/patches", "!.yarn/releases", ".pnp.*");
   }
+  return lines.join("\n");
+}
+
+function readTemplateSet(dir, rel = "", result = new Map()) {
+  fs.readdirSync(path.join(dir, rel), { withFileTypes: true }).forEach((entry) => {
+    const child = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      readTemplateSet(dir, child, result);
+    } else if (entry.isFile()) {
+      const name = TEMPLATE_RENAMES[entry.name] || entry.name;
+      result.set(rel ? `${rel}/${name}` : name, path.join(dir, child));
+    }
+  });
+  return result;
+}
 
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
+function renderTemplate(content, vars, source) {
+  if (Buffer.isBuffer(content)) return content;
+  return content.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+      throw new CliError(`Unknown template variable {{${name}}} in ${source}`);
+    }
+    return String(vars[name]);
   });
+}
 
-  let targetDir;
+function readTemplateFile(file) {
+  const buffer = fs.readFileSync(file);
+  return buffer.includes(0) ? buffer : buffer.toString("utf8");
+}
 
-  if (forceRebuild) {
-    targetDir = path.resolve(process.cwd(), TEMPLATE_DIR);
-  } else {
-    const targetInput = await promptLine(
-      rl,
-      `Target directory (default: ${DEFAULT_TARGET}): `,
-      DEFAULT_TARGET
+function buildTemplateRegistry(ctx) {
+  const { projectName, backend, electronVersion, electronTs, useMirror, audit, templateDir } = ctx;
+  const packageManager = ctx.packageManager || "npm";
+  const workspace = ctx.workspace ? workspaceDirs(backend) : null;
+  const registry = new Map();
+  const addSet = (dir) => {
+    readTemplateSet(dir).forEach((file, rel) => {
+      registry.set(rel, { source: file, render: () => readTemplateFile(file) });
+    });
+  };
+  const addGenerated = (rel, render) => {
+    registry.set(rel, { source: "<generated>", render });
+  };
+
+  addSet(path.join(TEMPLATES_ROOT, "base"));
+  addSet(path.join(TEMPLATES_ROOT, electronTs ? "electron-ts" : "electron-js"));
+  // Both script sets, so teammates on the other OS can run the project too.
+  addSet(path.join(TEMPLATES_ROOT, "platform-unix"));
+  addSet(path.join(TEMPLATES_ROOT, "platform-windows"));
+  if (backend.api) {
+    addSet(path.join(TEMPLATES_ROOT, "api"));
+    // The example contract and its client only match the built-in backends;
+    // a plugin brings its own spec and runs gen:api to get a client.
+    if (!backend.source) addSet(path.join(TEMPLATES_ROOT, "api-example"));
+  }
+  if (backend.templatesDir) {
+    addSet(backend.templatesDir);
+  }
+  addGenerated("package.json", () =>
+    buildRootPackageJson(projectName, electronVersion, {
+      electronTs,
+      packageManager,
+      packageManagerVersion: ctx.packageManagerVersion,
+      workspace,
+      api: !!backend.api,
+    })
+  );
+  addGenerated("src/frontend/package.json", () => buildFrontendPackageJson(projectName, !!workspace));
+  const npmrc = () => buildNpmrc(useMirror, audit, packageManager, ctx.network);
+  addGenerated(".npmrc", npmrc);
+  // src/frontend is its own npm/bun project outside a workspace and would not
+  // see the root .npmrc.
+  if (!workspace && (packageManager === "npm" || packageManager === "bun")) {
+    addGenerated("src/frontend/.npmrc", npmrc);
+  }
+  if (packageManager === "pnpm") {
+    const packages = workspace || ["src/frontend"];
+    addGenerated("pnpm-workspace.yaml", () =>
+      ["packages:", ...packages.map((dir) => `  - ${dir}`)].join("\n") + "\n"
     );
-    targetDir = path.resolve(process.cwd(), targetInput);
   }
+  if (packageManager === "yarn") {
+    addGenerated(".yarnrc.yml", () => buildYarnrc(useMirror, ctx.network));
+    // Yarn injects .env.yarn into every script, including electron's postinstall.
+    const { electronMirror } = networkSettings(useMirror, ctx.network);
+    addGenerated(".env.yarn", () => (electronMirror ? `ELECTRON_MIRROR=${electronMirror}\n` : null));
+    // Outside a workspace, an empty lockfile makes src/frontend its own
+    // project instead of an unlisted part of the root one.
+    if (!workspace) addGenerated("src/frontend/yarn.lock", () => "");
+  }
+  if (templateDir) {
+    addSet(templateDir);
+  }
+  return registry;
+}
 
-  if (fs.existsSync(targetDir) && !isEmptyDir(targetDir)) {
-    const overwrite = forceRebuild || await confirm(
-      rl,
-      `Target directory is not empty: ${targetDir}\nOverwrite?`,
-      false
+function buildProjectFiles(ctx) {
+  const { projectName, backend, electronVersion } = ctx;
+  const pm = getPackageManager(ctx.packageManager);
+  const out = createFileMap();
+
+  const dirs = [
+    "src/frontend/src/components",
+    "src/backend",
+    "src/electron",
+    "docs",
+    "scripts",
+    "data",
+    "logs",
+    "dist",
+  ];
+  dirs.forEach((d) => out.addDir(d));
+
+  const vars = {
+    projectName,
+    backendKey: backend.key,
+    backendPort: DEFAULT_BACKEND_PORT,
+    backendHealthEndpoint: backend.healthEndpoint,
+    backendRuntime: JSON.stringify({
+      ...backend.runtime,
+      packaged: backend.packaging ? backend.packaging.runtime : null,
+    }),
+    backendPackaging: JSON.stringify(
+      backend.packaging ? { copy: backend.packaging.copy, build: backend.packaging.build } : null,
+      null,
+      2
+    ),
+    backendTest: JSON.stringify(backend.test || null, null, 2),
+    backendApi: JSON.stringify(backend.api || null, null, 2),
+    appId: buildAppId(projectName),
+    electronVersion,
+    backendStartCommand:
+      (ctx.platform || hostPlatform) === "windows" ? backend.startCommandWindows : backend.startCommandUnix,
+    backendStartCommandUnix: backend.startCommandUnix,
+    backendStartCommandWindows: backend.startCommandWindows,
+    packageManager: pm.key,
+    pmRun: pm.run,
+    pmExec: JSON.stringify(pm.exec),
+    lockfileIgnores: buildLockfileIgnores(pm.key),
+  };
+  const registry = buildTemplateRegistry(ctx);
+  [...registry.keys()].sort().forEach((rel) => {
+    const entry = registry.get(rel);
+    const content = entry.render();
+    if (content === null) return;
+    out.write(rel, renderTemplate(content, vars, entry.source), {
+      executable: EXECUTABLE_EXTENSIONS.has(path.extname(rel)),
+    });
+  });
+
+  if (backend.createFiles) {
+    backend.createFiles(out, { ...ctx, vars });
+  }
+
+  return out;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function printFileTree(rootLabel, out) {
+  const root = { dirs: new Map(), files: [] };
+  const walk = (rel) => {
+    let node = root;
+    rel.split("/").forEach((part) => {
+      if (!node.dirs.has(part)) node.dirs.set(part, { dirs: new Map(), files: [] });
+      node = node.dirs.get(part);
+    });
+    return node;
+  };
+  out.dirs.forEach((d) => walk(d));
+  out.files.forEach((file, rel) => {
+    const parts = rel.split("/");
+    const name = parts.pop();
+    const node = parts.length ? walk(parts.join("/")) : root;
+    node.files.push({ name, size: Buffer.byteLength(file.content) });
+  });
+
+  const lines = [`${rootLabel}/`];
+  const render = (node, prefix) => {
+    const entries = [
+      ...[...node.dirs.keys()].sort().map((name) => ({ name, dir: node.dirs.get(name) })),
+      ...node.files.sort((a, b) => a.name.localeCompare(b.name)),
+    ];
+    entries.forEach((entry, i) => {
+      const last = i === entries.length - 1;
+      const branch = last ? "└── " : "├── ";
+      if (entry.dir) {
+        lines.push(`${prefix}${branch}${entry.name}/`);
+        render(entry.dir, prefix + (last ? "    " : "│   "));
+      } else {
+        lines.push(`${prefix}${branch}${entry.name} (${formatSize(entry.size)})`);
+      }
+    });
+  };
+  render(root, "");
+  console.log(lines.join("\n"));
+}
+
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i], i: i++, j: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "-", line: a[i], i: i++, j });
+    } else {
+      ops.push({ type: "+", line: b[j], i, j: j++ });
+    }
+  }
+  while (i < n) ops.push({ type: "-", line: a[i], i: i++, j });
+  while (j < m) ops.push({ type: "+", line: b[j], i, j: j++ });
+  return ops;
+}
+
+function formatUnifiedDiff(rel, before, after, context = 3) {
+  const ops = diffLines(before.split("\n"), after.split("\n"));
+  const changed = ops.map((op, k) => (op.type !== " " ? k : -1)).filter((k) => k !== -1);
+  if (changed.length === 0) return "";
+
+  const hunks = [];
+  changed.forEach((k) => {
+    const from = Math.max(0, k - context);
+    const to = Math.min(ops.length - 1, k + context);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  const lines = [`--- a/${rel}`, `+++ b/${rel}`];
+  hunks.forEach(({ from, to }) => {
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+    lines.push(`@@ -${slice[0].i + 1},${oldCount} +${slice[0].j + 1},${newCount} @@`);
+    slice.forEach((op) => lines.push(op.type + op.line));
+  });
+  return lines.join("\n");
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, k) => line === b[k]);
+}
+
+// diff3-style merge: lines that both sides kept from the base act as anchors,
+// and each region between anchors is taken from whichever side changed it.
+function mergeLines(base, ours, theirs, labels) {
+  const oursAt = new Map();
+  const theirsAt = new Map();
+  diffLines(base, ours).forEach((op) => op.type === " " && oursAt.set(op.i, op.j));
+  diffLines(base, theirs).forEach((op) => op.type === " " && theirsAt.set(op.i, op.j));
+
+  const lines = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+  for (;;) {
+    let i = b;
+    while (i < base.length && !(oursAt.has(i) && theirsAt.has(i))) i++;
+    const oEnd = i < base.length ? oursAt.get(i) : ours.length;
+    const tEnd = i < base.length ? theirsAt.get(i) : theirs.length;
+    const baseChunk = base.slice(b, i);
+    const oursChunk = ours.slice(o, oEnd);
+    const theirsChunk = theirs.slice(t, tEnd);
+    if (sameLines(oursChunk, baseChunk)) {
+      lines.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      lines.push(...oursChunk);
+    } else {
+      conflicts++;
+      lines.push(`<<<<<<< ${labels.ours}`, ...oursChunk, "=======", ...theirsChunk, `>>>>>>> ${labels.theirs}`);
+    }
+    if (i >= base.length) break;
+    lines.push(base[i]);
+    b = i + 1;
+    o = oEnd + 1;
+    t = tEnd + 1;
+  }
+  return { lines, conflicts };
+}
+
+function listFiles(root, rel = "", ignore = COPY_IGNORE) {
+  const result = [];
+  fs.readdirSync(path.join(root, rel), { withFileTypes: true }).forEach((entry) => {
+    if (ignore.has(entry.name) || DEPENDENCY_DIRS.has(entry.name)) return;
+    const child = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      result.push(...listFiles(root, child, ignore));
+    } else if (entry.isFile()) {
+      result.push(child);
+    }
+  });
+  return result;
+}
+
+function printTargetDiff(targetDir, out) {
+  if (!fs.existsSync(targetDir)) {
+    console.log(`Target does not exist yet; every file is new: ${targetDir}`);
+    return;
+  }
+  const existing = new Set(listFiles(targetDir, "", new Set([...COPY_IGNORE, METADATA_DIR])));
+  const summary = { added: 0, modified: 0, unchanged: 0, removed: 0 };
+  const patches = [];
+  [...out.files.keys()].sort().forEach((rel) => {
+    if (!existing.has(rel)) {
+      summary.added++;
+      console.log(`  + ${rel}`);
+      return;
+    }
+    const before = fs.readFileSync(path.join(targetDir, rel));
+    const after = out.files.get(rel).content;
+    if (before.equals(Buffer.from(after))) {
+      summary.unchanged++;
+      return;
+    }
+    summary.modified++;
+    console.log(`  ~ ${rel}`);
+    if (!Buffer.isBuffer(after)) {
+      patches.push(formatUnifiedDiff(rel, before.toString("utf8"), after));
+    }
+  });
+  [...existing].sort().forEach((rel) => {
+    if (out.files.has(rel)) return;
+    summary.removed++;
+    console.log(`  - ${rel}`);
+  });
+  console.log(
+    `${summary.added} added, ${summary.modified} modified, ` +
+      `${summary.removed} removed, ${summary.unchanged} unchanged`
+  );
+  patches.forEach((patch) => console.log("\n" + patch));
+}
+
+function printDryRun(targetDir, out, installPlan, env, bootstrapPlan, lockfiles = []) {
+  console.log(`\n[dry-run] Nothing was written. Planned scaffold for ${targetDir}:\n`);
+  printFileTree(path.basename(targetDir), out);
+
+  ["package.json", ".npmrc", ".yarnrc.yml", "pnpm-workspace.yaml"].forEach((rel) => {
+    const file = out.files.get(rel);
+    if (!file && rel !== "package.json" && rel !== ".npmrc") return;
+    console.log(`\n--- ${rel} ---`);
+    console.log(file ? file.content.trimEnd() : "(not written)");
+  });
+
+  if (lockfiles.length > 0) {
+    console.log("\n--- seeded lockfiles ---");
+    lockfiles.forEach(({ rel }) => console.log(rel));
+  }
+
+  console.log(`\n--- installs${options.install === false ? " (skipped: --no-install)" : ""} ---`);
+  [...installPlan, ...bootstrapPlan].forEach((step) => {
+    console.log(`[${step.label}] (cd ${step.cwd} && ${[step.command, ...step.args].join(" ")})`);
+  });
+  if (env.ELECTRON_MIRROR) {
+    console.log(`env: ELECTRON_MIRROR=${env.ELECTRON_MIRROR}`);
+  }
+
+  if (options.diff) {
+    console.log(`\n--- diff against ${targetDir} ---`);
+    printTargetDiff(targetDir, out);
+  }
+}
+
+function describeFailure(result) {
+  if (result.error) return result.error.message;
+  if (result.signal) return `terminated by ${result.signal}`;
+  return `exit code ${result.status}`;
+}
+
+function runInstall(step, env) {
+  const { command, args, cwd, label } = step;
+
+  console.log(`Installing dependencies with ${command}${label ? ` (${label})` : ""}...`);
+  let install;
+  if (isWindows) {
+    const cmdExe = process.env.ComSpec || "cmd.exe";
+    install = spawnSync(cmdExe, ["/c", command, ...args], {
+      cwd,
+      stdio: "inherit",
+      env,
+      windowsHide: true,
+    });
+  } else {
+    install = spawnSync(command, args, {
+      cwd,
+      stdio: "inherit",
+      env,
+    });
+  }
+  return install.status === 0 ? null : describeFailure(install);
+}
+
+function electronFilters(source) {
+  const filters = {
+    channel: source.electronChannel || "stable",
+    supportedOnly: !!source.supportedOnly,
+  };
+  if (!ELECTRON_CHANNELS.includes(filters.channel)) {
+    throw new CliError(
+      `Unknown Electron channel "${filters.channel}". Choose one of: ${ELECTRON_CHANNELS.join(", ")}`
     );
-    if (!overwrite) {
-      rl.close();
-      process.exit(1);
+  }
+  if (source.electronMajor !== undefined) {
+    const major = Number(source.electronMajor);
+    if (!Number.isInteger(major) || major < 1) {
+      throw new CliError(
+        `--electron-major must be a major version number, got "${source.electronMajor}"`
+      );
+    }
+    filters.major = major;
+  }
+  return filters;
+}
+
+function describeElectronFilter(filters) {
+  const parts = [filters.channel];
+  if (filters.major !== undefined) parts.push(`major ${filters.major}`);
+  if (filters.supportedOnly) parts.push("supported majors only");
+  return parts.join(", ");
+}
+
+function printElectronCandidates(candidates, nodeMajor) {
+  const rows = [["#", "Electron", "Node", "Chromium", "Released", ""]];
+  candidates.forEach((c, i) => {
+    const note = c.match === "exact" ? `Node ${nodeMajor} match` : "";
+    rows.push([`${i + 1})`, c.version, c.node, c.chrome || "-", c.date || "-", note]);
+  });
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+  rows.forEach((row) => {
+    console.log(`  ${row.map((cell, col) => cell.padEnd(widths[col])).join("  ").trimEnd()}`);
+  });
+}
+
+async function selectElectronVersion(prompter, nodeVersion) {
+  const nodeMajor = parseMajor(nodeVersion);
+  console.log(`Local Node.js: v${nodeVersion}`);
+
+  const { releases, source } = await loadReleases();
+  let candidates = [];
+  if (releases) {
+    console.log(`Electron releases: ${source}`);
+    candidates = listElectronCandidates(releases, nodeMajor, electronFilter);
+  }
+
+  if (candidates.length === 0) {
+    if (releases) {
+      console.log(`No Electron release matches: ${describeElectronFilter(electronFilter)}.`);
+    }
+    console.log("Could not auto-select Electron version.");
+    const manual = await prompter.line(
+      "electronVersion",
+      "--electron-version <ver>",
+      "Enter Electron version manually (e.g. 30.0.0): ",
+      ""
+    );
+    if (!manual) {
+      throw new CliError("No Electron version provided. Aborting.");
+    }
+    return { version: normalizeVersion(manual), node: "unknown" };
+  }
+
+  const best = candidates[0];
+  if (best.match === "lower") {
+    console.log(`No exact Node ${nodeMajor} match. Using latest Electron with Node ${best.node}.`);
+  } else if (best.match === "any") {
+    console.log("No compatible Node match found. Using latest stable Electron.");
+  }
+
+  const shown = candidates.slice(0, CANDIDATE_TABLE_SIZE);
+  console.log(`Electron candidates (${describeElectronFilter(electronFilter)}):`);
+  printElectronCandidates(shown, nodeMajor);
+  const choice = await prompter.line(
+    null,
+    "--yes or --electron-version <ver>",
+    `Install which Electron? [1-${shown.length}, a version, or n to cancel] (default 1): `,
+    "1"
+  );
+  if (/^n(o)?$/i.test(choice)) {
+    throw new CliError("Cancelled by user.");
+  }
+  if (/^\d+$/.test(choice) && Number(choice) >= 1 && Number(choice) <= shown.length) {
+    return shown[Number(choice) - 1];
+  }
+  if (/^v?\d+\.\d+\.\d+/.test(choice)) {
+    const version = normalizeVersion(choice);
+    const known = releases.map(normalizeRelease).find((r) => r.version === version);
+    return known || { version, node: "unknown" };
+  }
+  throw new CliError(`Invalid choice "${choice}": enter 1-${shown.length} or a version like 31.2.1.`);
+}
+
+function resolveTemplateDir(templateDir = options.templateDir, cwd = process.cwd()) {
+  if (!templateDir) return null;
+  const dir = path.resolve(cwd, templateDir);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new CliError(`Template directory not found: ${dir}`);
+  }
+  return dir;
+}
+
+function validateBackend(plugin, source) {
+  const fail = (message) => {
+    throw new CliError(`Invalid backend plugin ${source}: ${message}`);
+  };
+  if (!plugin || typeof plugin !== "object") fail("must export an object");
+  if (typeof plugin.key !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(plugin.key)) {
+    fail("\"key\" must be a lowercase slug such as \"rust-axum\"");
+  }
+  ["startCommandUnix", "startCommandWindows"].forEach((field) => {
+    if (typeof plugin[field] !== "string" || !plugin[field]) {
+      fail(`"${field}" must be a non-empty string`);
+    }
+  });
+  if (plugin.templatesDir !== undefined) {
+    if (typeof plugin.templatesDir !== "string" || !fs.existsSync(plugin.templatesDir)) {
+      fail(`"templatesDir" does not exist: ${plugin.templatesDir}`);
+    }
+  }
+  ["createFiles", "bootstrap"].forEach((field) => {
+    if (plugin[field] !== undefined && typeof plugin[field] !== "function") {
+      fail(`"${field}" must be a function`);
+    }
+  });
+  if (!plugin.templatesDir && !plugin.createFiles) {
+    fail("needs \"templatesDir\" or \"createFiles\" to produce backend files");
+  }
+  if (plugin.healthEndpoint !== undefined && !/^\//.test(plugin.healthEndpoint)) {
+    fail("\"healthEndpoint\" must be a path starting with /");
+  }
+  const runtime = plugin.runtime;
+  if (runtime !== undefined) {
+    if (!runtime || typeof runtime.command !== "string" || !runtime.command) {
+      fail("\"runtime.command\" must be a non-empty string");
+    }
+    if (runtime.args !== undefined && !Array.isArray(runtime.args)) {
+      fail("\"runtime.args\" must be an array");
+    }
+  }
+  const test = plugin.test;
+  if (test !== undefined && test !== null) {
+    if (typeof test.command !== "string" || !test.command) {
+      fail("\"test.command\" must be a non-empty string");
+    }
+    if (test.args !== undefined && !Array.isArray(test.args)) {
+      fail("\"test.args\" must be an array");
+    }
+  }
+  if (plugin.workspace !== undefined && typeof plugin.workspace !== "boolean") {
+    fail("\"workspace\" must be a boolean");
+  }
+  const api = plugin.api;
+  if (api !== undefined && api !== null) {
+    if (typeof api.spec !== "string" || !api.spec) {
+      fail("\"api.spec\" must be the project-relative path of the OpenAPI document");
+    }
+    const exporter = api.export;
+    if (exporter !== undefined && !(exporter && typeof exporter.command === "string" && exporter.command)) {
+      fail("\"api.export.command\" must be a non-empty string");
+    }
+  }
+  const packaging = plugin.packaging;
+  if (packaging !== undefined) {
+    if (!packaging || !packaging.runtime) {
+      fail("\"packaging.runtime\" describes how the packaged app starts the backend");
+    }
+    if (!packaging.runtime.command && !packaging.runtime.executable) {
+      fail("\"packaging.runtime\" needs a \"command\" or an \"executable\"");
+    }
+  }
+  return {
+    ...plugin,
+    label: plugin.label || plugin.key,
+    healthEndpoint: plugin.healthEndpoint || "/",
+    runtime: runtime || {
+      command: plugin.startCommandUnix,
+      commandWindows: plugin.startCommandWindows,
+      shell: true,
+    },
+    source,
+  };
+}
+
+function requirePlugin(request, source) {
+  let exported;
+  try {
+    exported = require(request);
+  } catch (err) {
+    throw new CliError(`Failed to load backend plugin ${source}: ${err.message}`);
+  }
+  const list = Array.isArray(exported) ? exported : [exported];
+  return list.map((plugin) => validateBackend(plugin, source));
+}
+
+function findPluginPackages(cwd) {
+  const modulesDir = path.join(cwd, "node_modules");
+  if (!fs.existsSync(modulesDir)) return [];
+  const names = [];
+  fs.readdirSync(modulesDir).forEach((name) => {
+    if (name.startsWith("@")) {
+      fs.readdirSync(path.join(modulesDir, name)).forEach((child) => {
+        if (BACKEND_PLUGIN_PACKAGE.test(`${name}/${child}`)) names.push(`${name}/${child}`);
+      });
+    } else if (BACKEND_PLUGIN_PACKAGE.test(name)) {
+      names.push(name);
+    }
+  });
+  return names;
+}
+
+function loadBackends(pluginOptions = options, cwd = process.cwd()) {
+  const backends = [...BUILTIN_BACKENDS];
+  const add = (plugins) => {
+    plugins.forEach((plugin) => {
+      const existing = backends.find((b) => b.key === plugin.key);
+      if (existing) {
+        throw new CliError(
+          `Backend key "${plugin.key}" from ${plugin.source} is already registered` +
+            (existing.source ? ` by ${existing.source}` : " as a built-in backend")
+        );
+      }
+      backends.push(plugin);
+    });
+  };
+
+  const pluginsDir = pluginOptions.backendPlugins
+    ? path.resolve(cwd, pluginOptions.backendPlugins)
+    : path.join(cwd, BACKEND_PLUGINS_DIR);
+  if (fs.existsSync(pluginsDir)) {
+    fs.readdirSync(pluginsDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() || /\.c?js$/.test(entry.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const file = path.join(pluginsDir, entry.name);
+        add(requirePlugin(file, file));
+      });
+  } else if (pluginOptions.backendPlugins) {
+    throw new CliError(`Backend plugins directory not found: ${pluginsDir}`);
+  }
+
+  const requested = pluginOptions.backendPlugin
+    ? pluginOptions.backendPlugin.split(",").map((name) => name.trim()).filter(Boolean)
+    : [];
+  const packages = [...new Set([...requested, ...findPluginPackages(cwd)])];
+  packages.forEach((name) => {
+    const isPath = name.startsWith(".") || path.isAbsolute(name);
+    let request;
+    try {
+      request = isPath ? path.resolve(cwd, name) : require.resolve(name, { paths: [cwd] });
+    } catch (err) {
+      throw new CliError(`Backend plugin package not found: ${name}`);
+    }
+    add(requirePlugin(request, name));
+  });
+
+  return backends;
+}
+
+// The virtualenv lives in src/backend/.venv. It is created in place because a
+// venv records its own absolute path; pip settings go into the venv's own
+// pip.conf so later installs by hand use the same index, proxy and CA.
+function pythonBootstrap(ctx) {
+  const python = ctx.isWindows ? "python" : "python3";
+  const venvPython = ctx.isWindows ? ".venv\\Scripts\\python.exe" : ".venv/bin/python";
+  const { pipIndexUrl, proxy, noproxy, cafile } = ctx.network;
+  const pipConfig = [
+    ["global.index-url", pipIndexUrl],
+    ["global.proxy", proxy],
+    ["global.cert", cafile],
+  ].filter(([, value]) => value);
+  return [
+    { label: "python version", command: python, args: ["--version"], minVersion: PYTHON_MIN_VERSION },
+    { label: "python venv", command: python, args: ["-m", "venv", ".venv"], cwd: "src/backend", inPlace: true },
+    ...pipConfig.map(([name, value]) => ({
+      label: "pip config",
+      command: venvPython,
+      args: ["-m", "pip", "config", "--site", "set", name, value],
+      cwd: "src/backend",
+      inPlace: true,
+    })),
+    {
+      label: "pip install",
+      command: venvPython,
+      args: ["-m", "pip", "install", "-r", "requirements-dev.txt"],
+      cwd: "src/backend",
+      env: noproxy ? { NO_PROXY: noproxy } : undefined,
+      inPlace: true,
+    },
+  ];
+}
+
+// go mod tidy adds the require lines and go.sum; modules land in the shared
+// module cache, so the staged project can be moved afterwards.
+function goBootstrap(ctx) {
+  const { goproxy, proxy, noproxy, cafile } = ctx.network;
+  const env = {};
+  if (goproxy) env.GOPROXY = goproxy;
+  if (ctx.installMode === "offline") env.GOPROXY = "off";
+  if (proxy) {
+    env.HTTPS_PROXY = proxy;
+    env.HTTP_PROXY = proxy;
+  }
+  if (noproxy) env.NO_PROXY = noproxy;
+  if (cafile) env.SSL_CERT_FILE = cafile;
+  return [
+    { label: "go version", command: "go", args: ["version"], minVersion: GO_MIN_VERSION },
+    { label: "go mod tidy", command: "go", args: ["mod", "tidy"], cwd: "src/backend", env },
+  ];
+}
+
+function buildBootstrapPlan(backend, ctx) {
+  if (!backend.bootstrap) return [];
+  const steps = backend.bootstrap(ctx) || [];
+  return steps.map((step, i) => {
+    if (!step || typeof step.command !== "string") {
+      throw new CliError(`Backend ${backend.key} bootstrap step ${i + 1} needs a "command"`);
+    }
+    if (step.minVersion !== undefined && !/^\d+(\.\d+){0,2}$/.test(step.minVersion)) {
+      throw new CliError(
+        `Backend ${backend.key} bootstrap step ${i + 1}: "minVersion" must look like "3.8"`
+      );
+    }
+    return {
+      label: step.label || `${backend.key} bootstrap`,
+      command: step.command,
+      args: step.args || [],
+      cwd: path.resolve(ctx.targetDir, step.cwd || "."),
+      env: step.env,
+      minVersion: step.minVersion || null,
+      inPlace: !!step.inPlace,
+    };
+  });
+}
+
+// Runs a version command such as `go version` and compares the first x.y[.z]
+// in its output (stdout or stderr) with step.minVersion.
+function checkToolchain(step, env = process.env) {
+  const result = spawnSync(step.command, step.args, {
+    cwd: step.cwd,
+    env: { ...env, ...step.env },
+    encoding: "utf8",
+    shell: isWindows,
+    windowsHide: true,
+  });
+  if (result.error && result.error.code === "ENOENT") {
+    return `${step.command} not found; version ${step.minVersion} or newer is required`;
+  }
+  if (result.status !== 0) return describeFailure(result);
+  const output = `${result.stdout || ""}${result.stderr || ""}`.trim();
+  const found = output.match(/\d+\.\d+(\.\d+)?/);
+  if (!found) return `could not read a version from "${output.split("\n")[0]}"`;
+  if (compareSemver(parseSemver(found[0]), parseSemver(step.minVersion)) < 0) {
+    return `${step.command} ${found[0]} is older than the required ${step.minVersion}`;
+  }
+  console.log(`Found ${step.command} ${found[0]} (>= ${step.minVersion})`);
+  return null;
+}
+
+function runBootstrapStep(step, env) {
+  if (step.minVersion) return checkToolchain(step, env);
+  console.log(`Running ${step.label}: ${[step.command, ...step.args].join(" ")}`);
+  const result = spawnSync(step.command, step.args, {
+    cwd: step.cwd,
+    stdio: "inherit",
+    env: { ...env, ...step.env },
+    shell: isWindows,
+    windowsHide: true,
+  });
+  return result.status === 0 ? null : describeFailure(result);
+}
+
+function metaCsp(html) {
+  const meta = html.match(/<meta\s[^>]*http-equiv=["']Content-Security-Policy["'][^>]*>/i);
+  const content = meta && meta[0].match(/\scontent=(?:"([^"]*)"|'([^']*)')/i);
+  return content ? content[1] || content[2] : null;
+}
+
+function printSecurityReport(projectDir) {
+  const electronDir = path.join(projectDir, "src", "electron");
+  if (!fs.existsSync(electronDir)) {
+    throw new CliError(`No Electron sources found at ${electronDir}`);
+  }
+  const sources = listFiles(electronDir).filter((rel) => /\.(c|m)?(js|ts)$/.test(rel));
+  const combined = sources
+    .map((rel) => fs.readFileSync(path.join(electronDir, rel), "utf8"))
+    .join("\n");
+  const htmlFile = path.join(projectDir, "src", "frontend", "index.html");
+  const html = fs.existsSync(htmlFile) ? fs.readFileSync(htmlFile, "utf8") : "";
+  const checked = sources.map((rel) => `src/electron/${rel}`);
+  if (html) checked.push("src/frontend/index.html");
+
+  console.log(`Electron security report for ${projectDir}`);
+  console.log(`Checked: ${checked.join(", ") || "(none)"}\n`);
+  let failures = 0;
+  SECURITY_RULES.forEach((rule) => {
+    const ok = rule.pass(combined, html);
+    if (!ok) failures++;
+    console.log(`  ${ok ? "PASS" : "FAIL"}  ${rule.title}`);
+  });
+  console.log(`\n${SECURITY_RULES.length - failures}/${SECURITY_RULES.length} checks passed.`);
+  return failures === 0;
+}
+
+function findBackend(backends, input) {
+  const index = /^\d+$/.test(input) ? parseInt(input, 10) - 1 : -1;
+  const backend = backends[index] || backends.find((b) => b.key === input);
+  if (!backend) {
+    throw new CliError(
+      `Unknown backend "${input}". Choose one of: ${backends.map((b) => b.key).join(", ")}`
+    );
+  }
+  return backend;
+}
+
+async function selectBackend(prompter, backends) {
+  if (options.backend !== undefined) {
+    return findBackend(backends, options.backend);
+  }
+  console.log("Select backend:");
+  backends.forEach((b, i) => {
+    console.log(`${i + 1}) ${b.label}`);
+  });
+  const backendInput = await prompter.line(
+    null,
+    "--backend <key>",
+    `Enter choice [1-${backends.length}]: `,
+    "1"
+  );
+  const backendIndex = Math.max(1, Math.min(backends.length, parseInt(backendInput, 10) || 1)) - 1;
+  return backends[backendIndex];
+}
+
+async function resolveElectronVersion(prompter, nodeVersion) {
+  if (options.electronVersion !== undefined) {
+    const version = normalizeVersion(options.electronVersion);
+    console.log(`Using Electron v${version} (--electron-version)`);
+    return version;
+  }
+  const selected = await selectElectronVersion(prompter, nodeVersion);
+  return normalizeVersion(selected.version);
+}
+
+function planInstalls(targetDir, ctx) {
+  const env = { ...process.env };
+  const { electronMirror } = networkSettings(ctx.useMirror, ctx.network);
+  if (electronMirror) {
+    env.ELECTRON_MIRROR = electronMirror;
+  }
+  const pm = getPackageManager(ctx.packageManager);
+  const install = { command: pm.key, args: pm.installArgs(ctx.audit) };
+  if (ctx.installMode) {
+    const offline = pm.offline(ctx.installMode);
+    if (!offline) {
+      console.log(`Warning: ${pm.key} has no --${ctx.installMode} install; installing normally.`);
+    } else {
+      install.args.push(...(offline.args || []));
+      Object.assign(env, offline.env);
     }
-    console.log(`Clearing: ${targetDir}`);
-    fs.rmSync(targetDir, { recursive: true, force: true });
   }
+  const installPlan = [{ label: ctx.workspace ? "workspace" : "root", cwd: targetDir, ...install }];
+  if (!pm.workspace && !ctx.workspace) {
+    installPlan.push({ label: "frontend", cwd: path.join(targetDir, "src", "frontend"), ...install });
+  }
+  const bootstrapPlan = planBootstrap(targetDir, ctx);
+  return { env, installPlan, bootstrapPlan, installMode: ctx.installMode || null };
+}
+
+function planBootstrap(targetDir, ctx) {
+  return buildBootstrapPlan(ctx.backend, {
+    targetDir,
+    projectName: ctx.projectName,
+    isWindows: (ctx.platform || hostPlatform) === "windows",
+    network: networkSettings(ctx.useMirror, ctx.network),
+    installMode: ctx.installMode || null,
+  });
+}
+
+function planProject(targetDir, ctx) {
+  const out = buildProjectFiles(ctx);
+  const lockfiles = ctx.seedLockfiles ? buildLockfileSeeds(ctx, out) : [];
+  return { ctx, out, lockfiles, ...planInstalls(targetDir, ctx) };
+}
+
+function stepCommand(step, rootDir) {
+  const rel = path.relative(rootDir, step.cwd).split(path.sep).join("/");
+  const env = Object.entries(step.env || {}).map(
+    ([key, value]) => `${key}=${/^[\w@%+=:,./-]*$/.test(value) ? value : `'${value}'`} `
+  );
+  const command = env.join("") + [step.command, ...step.args].join(" ");
+  return rel ? `(cd ${rel} && ${command})` : command;
+}
+
+function printInstallSummary(steps, results, rootDir) {
+  console.error("\nInstall summary:");
+  steps.forEach(({ step }, i) => {
+    const result = results[i] || "not run";
+    const status = result === "ok" || result === "not run" ? result : "FAILED";
+    const line = `  ${status.padEnd(8)} ${step.label.padEnd(16)} ${stepCommand(step, rootDir)}`;
+    console.error(status === "FAILED" ? `${line}\n           ${result}` : line);
+  });
+}
+
+async function askRetry(prompter, step) {
+  if (!prompter || !process.stdin.isTTY || options.yes) return false;
+  return prompter.toggle(null, "", `Retry ${step.label}?`, true);
+}
+
+// Runs steps in order. A failing step prints a summary of all steps and, on a
+// terminal, offers to retry it; giving up throws with the given advice.
+async function runSteps(steps, { env, rootDir, advice }, prompter) {
+  const results = [];
+  for (let i = 0; i < steps.length; i++) {
+    const { step, run } = steps[i];
+    let failure = run(step, env);
+    while (failure) {
+      results[i] = failure;
+      printInstallSummary(steps, results, rootDir);
+      if (!(await askRetry(prompter, step))) {
+        throw new CliError(`${step.label} failed (${failure}). ${advice}`);
+      }
+      failure = run(step, env);
+    }
+    results[i] = "ok";
+  }
+}
+
+// Installs and the bootstrap steps that can run in the staging directory.
+async function runInstalls(plan, prompter = null) {
+  const steps = [
+    ...plan.installPlan.map((step) => ({ step, run: runInstall })),
+    ...plan.bootstrapPlan
+      .filter((step) => !step.inPlace)
+      .map((step) => ({ step, run: runBootstrapStep })),
+  ];
+  if (steps.length === 0) return;
+  const hints = ["--no-install to generate without installing"];
+  if (!plan.installMode) {
+    hints.push("--prefer-offline to install from the package manager cache");
+  }
+  await runSteps(
+    steps,
+    {
+      env: plan.env,
+      rootDir: plan.installPlan[0] ? plan.installPlan[0].cwd : steps[0].step.cwd,
+      advice: `Use ${hints.join(", or ")}.`,
+    },
+    prompter
+  );
+}
+
+// Bootstrap steps marked inPlace (the Python virtualenv) run once the project
+// has been swapped into targetDir.
+async function runInPlaceSteps(targetDir, ctx, prompter = null) {
+  const steps = planBootstrap(targetDir, ctx)
+    .filter((step) => step.inPlace)
+    .map((step) => ({ step, run: runBootstrapStep }));
+  if (steps.length === 0) return;
+  await runSteps(
+    steps,
+    {
+      env: process.env,
+      rootDir: targetDir,
+      advice: `The project is in ${targetDir}; run the remaining steps listed above there.`,
+    },
+    prompter
+  );
+}
+
+function printDeferredInstalls(plan, targetDir) {
+  const steps = [...plan.installPlan, ...plan.bootstrapPlan];
+  if (steps.length === 0) return;
+  console.log("Dependencies were not installed (--no-install). Run later:");
+  console.log(`  cd ${targetDir}`);
+  steps.forEach((step) => console.log(`  ${stepCommand(step, targetDir)}`));
+  if (plan.env.ELECTRON_MIRROR) {
+    console.log(`  (with ELECTRON_MIRROR=${plan.env.ELECTRON_MIRROR})`);
+  }
+}
+
+// npm install keeps every pinned version that still satisfies package.json and
+// only resolves what differs (another Electron version, TS-only tooling).
+function buildLockfileSeeds(ctx, out) {
+  const packageManager = ctx.packageManager || "npm";
+  if (packageManager !== "npm" || ctx.workspace) {
+    console.log(
+      `Warning: lockfile seeds exist only for npm without --workspace; ` +
+        "not seeding lockfiles."
+    );
+    return [];
+  }
+  return LOCKFILE_SEEDS.map((rel) => {
+    const seedFile = path.join(LOCKFILE_SEEDS_DIR, rel);
+    let lock;
+    try {
+      lock = JSON.parse(fs.readFileSync(seedFile, "utf8"));
+    } catch (err) {
+      throw new CliError(`Failed to read lockfile seed ${seedFile}: ${err.message}`);
+    }
+    const pkg = JSON.parse(out.files.get(rel.replace(/package-lock\.json$/, "package.json")).content);
+    lock.name = pkg.name;
+    lock.version = pkg.version;
+    lock.packages[""] = { ...lock.packages[""], name: pkg.name, version: pkg.version };
+    return { rel, content: JSON.stringify(lock, null, 2) + "\n" };
+  });
+}
+
+async function createProject(targetDir, plan, prompter = null) {
+  ensureDir(targetDir);
+  flushFileMap(targetDir, plan.out);
+  plan.lockfiles.forEach(({ rel, content }) => writeFile(path.join(targetDir, rel), content));
+  writeProjectMetadata(targetDir, plan.out, plan.ctx);
+  if (plan.ctx.install === false) return;
+  await runInstalls(plan, prompter);
+}
+
+// Generation runs in a sibling staging directory (same filesystem, so the
+// final rename is atomic). The existing target is only touched once files and
+// installs have succeeded: it is renamed to a timestamped backup, the staged
+// project takes its place, and the backup is restored if that swap fails.
+async function stageProject(targetDir, build) {
+  const parent = path.dirname(targetDir);
+  const name = path.basename(targetDir);
+  const stageDir = path.join(parent, `.${name}.electroinit-staging-${process.pid}`);
+  const removeStage = () => {
+    try {
+      fs.rmSync(stageDir, { recursive: true, force: true });
+    } catch (err) {
+      console.error(`Could not remove staging directory ${stageDir}: ${err.message}`);
+    }
+  };
+  const onSignal = (signal) => {
+    console.error(`\n${signal} received; removing ${stageDir}. ${targetDir} was left unchanged.`);
+    removeStage();
+    process.exit(130);
+  };
+  ensureDir(parent);
+  removeStage();
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+  try {
+    try {
+      await build(stageDir);
+    } catch (err) {
+      removeStage();
+      console.error(`Generation failed; ${targetDir} was left unchanged.`);
+      throw err;
+    }
+    swapIntoPlace(stageDir, targetDir);
+  } finally {
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+  }
+}
+
+function swapIntoPlace(stageDir, targetDir) {
+  if (!fs.existsSync(targetDir)) {
+    fs.renameSync(stageDir, targetDir);
+    return;
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupDir = `${targetDir}.backup-${stamp}`;
+  try {
+    fs.renameSync(targetDir, backupDir);
+  } catch (err) {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+    throw new CliError(`Could not move ${targetDir} aside (${err.message}); it was left unchanged.`);
+  }
+  try {
+    fs.renameSync(stageDir, targetDir);
+  } catch (err) {
+    fs.renameSync(backupDir, targetDir);
+    fs.rmSync(stageDir, { recursive: true, force: true });
+    throw new CliError(`Could not move the new project into ${targetDir} (${err.message}); restored it.`);
+  }
+  try {
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  } catch (err) {
+    console.error(`Previous contents kept at ${backupDir} (${err.message})`);
+  }
+}
+
+// .electroinit/ records how the project was generated and the pristine
+// template output, which `upgrade` uses as the base of its three-way merge.
+function writeProjectMetadata(targetDir, out, ctx, createdAt) {
+  const metaDir = path.join(targetDir, METADATA_DIR);
+  const base = {};
+  [...out.files.keys()].sort().forEach((rel) => {
+    const { content } = out.files.get(rel);
+    base[rel] = Buffer.isBuffer(content) ? { base64: content.toString("base64") } : content;
+  });
+  const now = new Date().toISOString();
+  const manifest = {
+    generatorVersion: GENERATOR_VERSION,
+    createdAt: createdAt || now,
+    updatedAt: now,
+    projectName: ctx.projectName,
+    platform: ctx.platform || hostPlatform,
+    options: {
+      backend: ctx.backend.key,
+      electronVersion: ctx.electronVersion,
+      electronTs: !!ctx.electronTs,
+      packageManager: ctx.packageManager || "npm",
+      packageManagerVersion: ctx.packageManagerVersion || null,
+      workspace: !!ctx.workspace,
+      useMirror: !!ctx.useMirror,
+      network: ctx.network || {},
+      audit: !!ctx.audit,
+      templateDir: ctx.templateDir || null,
+    },
+  };
+  writeFile(path.join(metaDir, METADATA_MANIFEST), JSON.stringify(manifest, null, 2) + "\n");
+  writeFile(path.join(metaDir, METADATA_BASE), JSON.stringify(base, null, 2) + "\n");
+}
+
+async function copyCachedScaffold(entry, targetDir, ctx, prompter = null) {
+  const reinstall = !!options.reinstall;
+  const install = ctx.install !== false;
+  const cachedName = entry.manifest.projectName;
+  if (dryRun) {
+    console.log(`[dry-run] Would copy cached scaffold ${entry.id} to ${targetDir}`);
+    console.log(`[dry-run] Would rename project "${cachedName}" to "${ctx.projectName}"`);
+    if (reinstall && install) {
+      const plan = planInstalls(targetDir, ctx);
+      plan.installPlan.forEach((step) => {
+        console.log(`[${step.label}] (cd ${step.cwd} && ${[step.command, ...step.args].join(" ")})`);
+      });
+    }
+    return;
+  }
+  try {
+    copyDir(entry.projectDir, targetDir, { skipDependencies: reinstall || !install });
+  } catch (err) {
+    throw new CliError(`Failed to copy cached scaffold: ${err.message}`);
+  }
+  console.log(`Scaffold copied from cache entry ${entry.id}`);
+  const changed = personalizeScaffold(targetDir, cachedName, ctx.projectName);
+  if (changed.length > 0) {
+    console.log(`Renamed project "${cachedName}" to "${ctx.projectName}" in ${changed.join(", ")}`);
+  }
+  if (reinstall && install) {
+    await runInstalls(planInstalls(targetDir, ctx), prompter);
+  }
+}
+
+function getScaffoldStoreDir() {
+  return path.join(getCacheDir(), SCAFFOLD_STORE_DIR);
+}
+
+function scaffoldCacheKey(cacheOptions) {
+  const parts = [cacheOptions.backend, `electron-${cacheOptions.electronVersion}`];
+  if (cacheOptions.electronTs) parts.push("ts");
+  if (cacheOptions.packageManager && cacheOptions.packageManager !== "npm") {
+    parts.push(cacheOptions.packageManager);
+  }
+  if (cacheOptions.workspace) parts.push("ws");
+  if (cacheOptions.useMirror) parts.push("mirror");
+  if (cacheOptions.network && Object.keys(cacheOptions.network).length > 0) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(cacheOptions.network))
+      .digest("hex");
+    parts.push(`net-${digest.slice(0, 8)}`);
+  }
+  if (cacheOptions.audit) parts.push("audit");
+  if (cacheOptions.templateDir) {
+    const digest = crypto.createHash("sha256").update(cacheOptions.templateDir).digest("hex");
+    parts.push(`tpl-${digest.slice(0, 8)}`);
+  }
+  return parts.join("-").replace(/[^A-Za-z0-9._-]+/g, "_");
+}
+
+function hashScaffold(projectDir) {
+  const hash = crypto.createHash("sha256");
+  listFiles(projectDir)
+    .sort()
+    .forEach((rel) => {
+      hash.update(rel + "\0");
+      hash.update(fs.readFileSync(path.join(projectDir, rel)));
+      hash.update("\0");
+    });
+  return hash.digest("hex");
+}
+
+function readCacheEntries() {
+  const storeDir = getScaffoldStoreDir();
+  if (!fs.existsSync(storeDir)) return [];
+  return fs
+    .readdirSync(storeDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+    .map((entry) => {
+      const dir = path.join(storeDir, entry.name);
+      let manifest = null;
+      try {
+        manifest = JSON.parse(fs.readFileSync(path.join(dir, SCAFFOLD_MANIFEST), "utf8"));
+      } catch (err) {
+        manifest = null;
+      }
+      return { id: entry.name, dir, projectDir: path.join(dir, "project"), manifest };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function verifyCacheEntry(entry) {
+  if (!entry.manifest) return "missing or unreadable manifest.json";
+  if (!fs.existsSync(entry.projectDir)) return "missing project directory";
+  if (!fs.existsSync(path.join(entry.projectDir, "node_modules"))) return "node_modules missing";
+  if (hashScaffold(entry.projectDir) !== entry.manifest.hash) return "content hash mismatch";
+  return null;
+}
+
+function matchesCacheOptions(manifest, wanted) {
+  const have = manifest.options;
+  return (
+    have.backend === wanted.backend &&
+    !!have.electronTs === !!wanted.electronTs &&
+    (have.packageManager || "npm") === (wanted.packageManager || "npm") &&
+    !!have.workspace === !!wanted.workspace &&
+    !!have.useMirror === !!wanted.useMirror &&
+    JSON.stringify(have.network || {}) === JSON.stringify(wanted.network || {}) &&
+    !!have.audit === !!wanted.audit &&
+    (have.templateDir || null) === (wanted.templateDir || null) &&
+    (wanted.electronVersion
+      ? have.electronVersion === wanted.electronVersion
+      : !wanted.electronRelease ||
+        wanted.electronRelease(normalizeRelease({ version: have.electronVersion })))
+  );
+}
+
+function findCacheMatches(wanted) {
+  return readCacheEntries()
+    .filter((entry) => entry.manifest && matchesCacheOptions(entry.manifest, wanted))
+    .filter((entry) => !verifyCacheEntry(entry))
+    .sort(
+      (a, b) =>
+        compareSemver(
+          parseSemver(b.manifest.options.electronVersion),
+          parseSemver(a.manifest.options.electronVersion)
+        ) ||
+        b.manifest.createdAt.localeCompare(a.manifest.createdAt)
+    );
+}
+
+function describeCacheEntry(entry) {
+  const { options: opts, createdAt } = entry.manifest;
+  const flags = [
+    opts.electronTs && "ts",
+    opts.packageManager && opts.packageManager !== "npm" && opts.packageManager,
+    opts.workspace && "workspace",
+    opts.useMirror && "mirror",
+    opts.network && Object.keys(opts.network).length > 0 && "custom network",
+    opts.audit && "audit",
+  ]
+    .filter(Boolean)
+    .join(", ");
+  return (
+    `${opts.backend}, Electron v${opts.electronVersion}` +
+    `${flags ? `, ${flags}` : ""} (built ${createdAt.slice(0, 10)})`
+  );
+}
+
+function printCacheList() {
+  const entries = readCacheEntries();
+  console.log(`Scaffold cache: ${getScaffoldStoreDir()}`);
+  if (entries.length === 0) {
+    console.log("No cached scaffolds. Create one with: node init.js cache build --backend <key>");
+    return;
+  }
+  const rows = entries.map((entry) => {
+    const m = entry.manifest;
+    if (!m) return [entry.id, "?", "?", "?", "?", "?", "?", "(no manifest)"];
+    return [
+      entry.id,
+      m.options.backend,
+      m.options.electronVersion,
+      m.options.electronTs ? "ts" : "js",
+      m.options.packageManager || "npm",
+      m.options.useMirror ? "yes" : "no",
+      m.createdAt.slice(0, 19).replace("T", " "),
+      m.hash.slice(0, 12),
+    ];
+  });
+  const header = ["ID", "BACKEND", "ELECTRON", "MAIN", "PM", "MIRROR", "CREATED", "HASH"];
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...rows.map((row) => String(row[col]).length))
+  );
+  [header, ...rows].forEach((row) => {
+    console.log(row.map((cell, col) => String(cell).padEnd(widths[col])).join("  ").trimEnd());
+  });
+}
 
-  if (!forceRebuild) {
-    const useLocalTemplate = await confirm(
-      rl,
-      `Use cached scaffold from ${TEMPLATE_DIR}?`,
-      false
-    );
+function selectCacheEntries(ids) {
+  const entries = readCacheEntries();
+  if (ids.length === 0) return entries;
+  return ids.map((id) => {
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) throw new CliError(`No cached scaffold with id "${id}" (see: node init.js cache list)`);
+    return entry;
+  });
+}
 
-    if (useLocalTemplate) {
-      const templateDir = path.resolve(process.cwd(), TEMPLATE_DIR);
-      if (!fs.existsSync(templateDir) || isEmptyDir(templateDir)) {
-        console.error(`Template directory is missing or empty: ${templateDir}`);
-        rl.close();
-        process.exit(1);
-      }
-      if (path.resolve(templateDir) === path.resolve(targetDir)) {
-        console.log(`Using cached scaffold in place: ${templateDir}`);
-        rl.close();
-        return;
-      }
-      try {
-        copyDir(templateDir, targetDir, true);
-      } catch (err) {
-        console.error(`Failed to copy template: ${err.message}`);
-        rl.close();
-        process.exit(1);
-      }
-      console.log(`Scaffold copied from ${templateDir} to ${targetDir}`);
-      rl.close();
-      return;
+function verifyCache(ids) {
+  const entries = selectCacheEntries(ids);
+  let failures = 0;
+  entries.forEach((entry) => {
+    const problem = verifyCacheEntry(entry);
+    if (problem) failures++;
+    console.log(`  ${problem ? "FAIL" : "OK  "}  ${entry.id}${problem ? `: ${problem}` : ""}`);
+  });
+  console.log(`${entries.length - failures}/${entries.length} cached scaffolds verified.`);
+  return failures === 0;
+}
+
+function pruneCache(ids) {
+  let maxAgeMs = null;
+  if (options.olderThan !== undefined) {
+    const days = Number(options.olderThan);
+    if (!Number.isFinite(days) || days < 0) {
+      throw new CliError(`--older-than expects a number of days, got "${options.olderThan}"`);
+    }
+    maxAgeMs = days * 24 * 60 * 60 * 1000;
+  }
+  const storeDir = getScaffoldStoreDir();
+  const removals = [];
+  if (fs.existsSync(storeDir)) {
+    fs.readdirSync(storeDir)
+      .filter((name) => name.startsWith(".build-"))
+      .forEach((name) => removals.push({ dir: path.join(storeDir, name), reason: "interrupted build" }));
+  }
+  selectCacheEntries(ids).forEach((entry) => {
+    const problem = verifyCacheEntry(entry);
+    if (problem) {
+      removals.push({ dir: entry.dir, reason: problem });
+    } else if (ids.length > 0) {
+      removals.push({ dir: entry.dir, reason: "requested" });
+    } else if (maxAgeMs !== null && Date.now() - Date.parse(entry.manifest.createdAt) > maxAgeMs) {
+      removals.push({ dir: entry.dir, reason: `older than ${options.olderThan} days` });
     }
+  });
+  if (removals.length === 0) {
+    console.log("Nothing to prune.");
+    return;
   }
+  removals.forEach(({ dir, reason }) => {
+    console.log(`${dryRun ? "[dry-run] Would remove" : "Removing"} ${path.basename(dir)} (${reason})`);
+    if (!dryRun) fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
 
-  const useMirror = await confirm(rl, "Configure npm mirror?", false);
+function installSettings(source) {
+  let installMode = null;
+  if (source.offline) installMode = "offline";
+  else if (source.preferOffline) installMode = "prefer-offline";
+  return { install: source.install !== false, installMode, seedLockfiles: !!source.seedLockfiles };
+}
 
-  const backends = [
-    {
-      key: "node",
-      label: "node (default)",
-      startCommandWindows: "node src\\backend\\index.js",
-      startCommandUnix: "node src/backend/index.js",
-      createFiles: (targetDir) => {
-        writeFile(
-          path.join(targetDir, "src", "backend", "index.js"),
-          buildNodeBackend()
-        );
-      },
-    },
-    {
-      key: "python-fastapi",
-      label: "python-fastapi",
-      startCommandWindows: "python src\\backend\\app.py",
-      startCommandUnix: "python src/backend/app.py",
-      createFiles: (targetDir) => {
-        writeFile(
-          path.join(targetDir, "src", "backend", "app.py"),
-          buildFastApiBackend()
-        );
-        writeFile(
-          path.join(targetDir, "src", "backend", "requirements.txt"),
-          "fastapi\nuvicorn\n"
-        );
-      },
-    },
-    {
-      key: "golang-gin",
-      label: "golang-gin",
-      startCommandWindows: "go run src\\backend\\main.go",
-      startCommandUnix: "go run src/backend/main.go",
-      createFiles: (targetDir, projectName) => {
-        writeFile(
-          path.join(targetDir, "src", "backend", "main.go"),
-          buildGinBackend()
-        );
-        const moduleName = projectName || "backend";
-        writeFile(
-          path.join(targetDir, "src", "backend", "go.mod"),
-          `module ${moduleName}\n\ngo 1.20\n`
-        );
-      },
-    },
-  ];
+async function askMirror(prompter) {
+  // An explicit --registry already says where packages come from.
+  if (network.registry && options.mirror === undefined) return false;
+  return prompter.toggle("mirror", "--mirror or --no-mirror", "Configure npm mirror?", false);
+}
 
-  console.log("Select backend:");
-  backends.forEach((b, i) => {
-    console.log(`${i + 1}) ${b.label}`);
+async function buildCacheEntry(prompter, nodeVersion, pm) {
+  if (options.install === false) {
+    throw new CliError("Cached scaffolds include installed dependencies; drop --no-install.");
+  }
+  const templateDir = resolveTemplateDir();
+  const backends = loadBackends();
+  const useMirror = await askMirror(prompter);
+  const backend = await selectBackend(prompter, backends);
+  const electronVersion = await resolveElectronVersion(prompter, nodeVersion);
+  prompter.close();
+
+  const cacheOptions = {
+    backend: backend.key,
+    electronVersion,
+    electronTs: !!options.electronTs,
+    packageManager: pm.key,
+    workspace: !!options.workspace,
+    useMirror,
+    network,
+    audit: enableAudit,
+    templateDir,
+  };
+  const id = scaffoldCacheKey(cacheOptions);
+  const storeDir = getScaffoldStoreDir();
+  const entryDir = path.join(storeDir, id);
+  const existing = readCacheEntries().find((entry) => entry.id === id);
+  if (existing && !verifyCacheEntry(existing) && !forceRebuild) {
+    console.log(`Cached scaffold ${id} is up to date. Pass --force to rebuild it.`);
+    return;
+  }
+
+  const buildDir = path.join(storeDir, `.build-${id}-${process.pid}`);
+  const projectDir = path.join(buildDir, "project");
+  const plan = planProject(projectDir, {
+    projectName: CACHE_PROJECT_NAME,
+    backend,
+    electronVersion,
+    electronTs: cacheOptions.electronTs,
+    packageManager: pm.key,
+    packageManagerVersion: pm.version,
+    workspace: cacheOptions.workspace,
+    useMirror,
+    network,
+    audit: enableAudit,
+    templateDir,
+    ...installSettings(options),
   });
-  const backendInput = await promptLine(rl, "Enter choice [1-3]: ", "1");
-  const backendIndex = Math.max(1, Math.min(backends.length, parseInt(backendInput, 10) || 1)) - 1;
-  const backend = backends[backendIndex];
+  if (dryRun) {
+    printDryRun(path.join(entryDir, "project"), plan.out, plan.installPlan, plan.env, plan.bootstrapPlan);
+    return;
+  }
 
-  const nodeMajor = parseMajor(nodeVersion);
-  console.log(`Local Node.js: v${nodeVersion}`);
-  console.log("Fetching Electron releases...");
+  console.log(`Building cached scaffold ${id}...`);
+  try {
+    await createProject(projectDir, plan, prompter);
+    const manifest = {
+      version: 1,
+      id,
+      projectName: CACHE_PROJECT_NAME,
+      options: cacheOptions,
+      hash: hashScaffold(projectDir),
+      createdAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(
+      path.join(buildDir, SCAFFOLD_MANIFEST),
+      JSON.stringify(manifest, null, 2) + "\n",
+      "utf8"
+    );
+    fs.rmSync(entryDir, { recursive: true, force: true });
+    fs.renameSync(buildDir, entryDir);
+  } finally {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  }
+  console.log(`Cached scaffold stored at: ${entryDir}`);
+}
 
-  let releases = null;
+async function runCacheCommand(args, prompter, nodeVersion, pm) {
+  const [subcommand, ...rest] = args;
+  switch (subcommand) {
+    case "list":
+      printCacheList();
+      return true;
+    case "verify":
+      return verifyCache(rest);
+    case "prune":
+      pruneCache(rest);
+      return true;
+    case "build":
+      await buildCacheEntry(prompter, nodeVersion, pm);
+      return true;
+    default:
+      throw new CliError(
+        `Unknown cache command "${subcommand || ""}". Use: cache list | verify [id...] | prune [id...] | build`
+      );
+  }
+}
+
+function readProjectMetadata(projectDir) {
+  const metaDir = path.join(projectDir, METADATA_DIR);
+  let manifest;
+  let base;
   try {
-    releases = await fetchJson(RELEASES_URL);
+    manifest = JSON.parse(fs.readFileSync(path.join(metaDir, METADATA_MANIFEST), "utf8"));
+    base = JSON.parse(fs.readFileSync(path.join(metaDir, METADATA_BASE), "utf8"));
   } catch (err) {
-    console.error(`Failed to fetch Electron releases: ${err.message}`);
+    throw new CliError(
+      `${projectDir} has no readable ${METADATA_DIR}/ metadata (${err.message}). ` +
+        "Only projects generated by ElectroInit 1.0.0 or later can be upgraded."
+    );
   }
+  const files = new Map();
+  Object.entries(base).forEach(([rel, content]) => {
+    files.set(rel, typeof content === "string" ? content : Buffer.from(content.base64, "base64"));
+  });
+  return { manifest, base: files };
+}
+
+function sameContent(a, b) {
+  if (a === null || b === null) return a === b;
+  return Buffer.from(a).equals(Buffer.from(b));
+}
 
-  let selected = null;
-  if (releases && Array.isArray(releases)) {
-    selected = pickElectronVersion(releases, nodeMajor);
+function planFileUpgrade(rel, base, ours, theirs, labels) {
+  if (sameContent(base, theirs)) return { action: "unchanged" };
+  if (sameContent(ours, theirs)) return { action: "unchanged" };
+  if (sameContent(ours, base)) {
+    if (theirs === null) return { action: "removed" };
+    return { action: base === null ? "added" : "updated", content: theirs };
+  }
+  if (ours === null) return { action: "skipped", note: "deleted locally" };
+  if (theirs === null) return { action: "kept", note: "removed from the templates, edited locally" };
+  if ([base, ours, theirs].some((content) => Buffer.isBuffer(content))) {
+    return { action: "conflict", note: `binary file, new version written to ${rel}.new`, sidecar: theirs };
   }
+  const merged = mergeLines(
+    base === null ? [] : base.split("\n"),
+    ours.split("\n"),
+    theirs.split("\n"),
+    labels
+  );
+  return {
+    action: merged.conflicts > 0 ? "conflict" : "merged",
+    note: merged.conflicts > 0 ? `${merged.conflicts} conflicting hunk(s)` : undefined,
+    content: merged.lines.join("\n"),
+  };
+}
 
-  if (!selected) {
-    console.log("Could not auto-select Electron version.");
-    const manual = await promptLine(rl, "Enter Electron version manually (e.g. 30.0.0): ", "");
-    if (!manual) {
-      console.error("No Electron version provided. Aborting.");
-      rl.close();
-      process.exit(1);
+function upgradeProject(projectArg) {
+  if (!projectArg) {
+    throw new CliError("Usage: node init.js upgrade <dir>");
+  }
+  const projectDir = path.resolve(process.cwd(), projectArg);
+  const { manifest, base } = readProjectMetadata(projectDir);
+  const recorded = manifest.options;
+  const backend = findBackend(loadBackends(), recorded.backend);
+  let templateDir = resolveTemplateDir();
+  if (!templateDir && recorded.templateDir) {
+    if (!fs.existsSync(recorded.templateDir)) {
+      throw new CliError(
+        `Recorded --template-dir ${recorded.templateDir} no longer exists; pass --template-dir <dir>`
+      );
     }
-    selected = { version: manual, node: "unknown" };
+    templateDir = recorded.templateDir;
   }
+  const ctx = {
+    projectName: manifest.projectName,
+    backend,
+    // Render for the platform the project was generated on, not the host.
+    platform: manifest.platform || hostPlatform,
+    electronVersion:
+      options.electronVersion !== undefined
+        ? normalizeVersion(options.electronVersion)
+        : recorded.electronVersion,
+    electronTs: recorded.electronTs,
+    packageManager: recorded.packageManager || "npm",
+    packageManagerVersion: recorded.packageManagerVersion || null,
+    workspace: !!recorded.workspace,
+    useMirror: recorded.useMirror,
+    network: recorded.network || {},
+    audit: recorded.audit,
+    templateDir,
+  };
+  const out = buildProjectFiles(ctx);
+  const labels = { ours: "current", theirs: `electroinit ${GENERATOR_VERSION}` };
 
-  if (selected.match === "lower") {
-    console.log(
-      `No exact Node ${nodeMajor} match. Using latest Electron with Node ${selected.node}.`
-    );
-  } else if (selected.match === "any") {
-    console.log("No compatible Node match found. Using latest stable Electron.");
-  }
+  console.log(
+    `Upgrading ${projectDir} (generator ${manifest.generatorVersion} -> ${GENERATOR_VERSION})`
+  );
+  const rels = [...new Set([...base.keys(), ...out.files.keys()])].sort();
+  const counts = {};
+  const results = rels.map((rel) => {
+    const file = path.join(projectDir, rel);
+    const ours = fs.existsSync(file) ? readTemplateFile(file) : null;
+    const theirs = out.files.has(rel) ? out.files.get(rel).content : null;
+    const result = planFileUpgrade(rel, base.has(rel) ? base.get(rel) : null, ours, theirs, labels);
+    counts[result.action] = (counts[result.action] || 0) + 1;
+    return { rel, ...result };
+  });
 
+  results
+    .filter((result) => result.action !== "unchanged")
+    .forEach(({ rel, action, note }) => {
+      console.log(`  ${action.padEnd(9)} ${rel}${note ? ` (${note})` : ""}`);
+    });
   console.log(
-    `Candidate Electron: v${selected.version} (bundled Node ${selected.node})`
+    ["updated", "added", "merged", "removed", "conflict", "kept", "skipped", "unchanged"]
+      .map((action) => `${counts[action] || 0} ${action}`)
+      .join(", ")
   );
-  const ok = await confirm(rl, `Install Electron v${selected.version}?`, true);
-  rl.close();
 
-  if (!ok) {
-    console.error("Cancelled by user.");
-    process.exit(1);
+  if (dryRun) {
+    console.log("[dry-run] No files were changed.");
+    return !counts.conflict;
   }
+  results.forEach(({ rel, action, content, sidecar }) => {
+    const file = path.join(projectDir, rel);
+    if (action === "removed") {
+      fs.rmSync(file, { force: true });
+    } else if (sidecar) {
+      writeFile(`${file}.new`, sidecar);
+    } else if (content !== undefined) {
+      writeFile(file, content);
+      if (out.files.has(rel) && out.files.get(rel).executable && !isWindows) {
+        fs.chmodSync(file, 0o755);
+      }
+    }
+  });
+  writeProjectMetadata(projectDir, out, ctx, manifest.createdAt);
 
-  ensureDir(targetDir);
-  const projectName = toPackageName(path.basename(targetDir));
+  if (counts.conflict) {
+    console.log("Resolve the conflict markers (<<<<<<< / >>>>>>>) before committing.");
+  }
+  if (results.some(({ rel, action }) => /(^|\/)package\.json$/.test(rel) && action !== "unchanged")) {
+    console.log(
+      `package.json changed; ${installHint(ctx.packageManager, ctx.workspace)} to update dependencies.`
+    );
+  }
+  return !counts.conflict;
+}
 
-  const dirs = [
-    "src/frontend",
-    "src/backend",
-    "src/electron",
-    "docs",
-    "scripts",
-    "data",
-    "logs",
-    "dist",
-  ];
-  dirs.forEach((d) => ensureDir(path.join(targetDir, d)));
-
-  writeFile(path.join(targetDir, ".gitignore"), buildGitignore() + "\n");
-
-  writeFile(path.join(targetDir, "docs", "README.md"), buildDocs() + "\n");
-
-  const frontendRoot = path.join(targetDir, "src", "frontend");
-  writeFile(path.join(frontendRoot, "index.html"), buildFrontendIndexHtml());
-  writeFile(path.join(frontendRoot, "package.json"), buildFrontendPackageJson(projectName));
-  writeFile(path.join(frontendRoot, "vite.config.ts"), buildFrontendViteConfig());
-  writeFile(path.join(frontendRoot, "tsconfig.json"), buildFrontendTsconfig());
-  writeFile(path.join(frontendRoot, "tsconfig.node.json"), buildFrontendTsconfigNode());
-  writeFile(path.join(frontendRoot, "postcss.config.cjs"), buildFrontendPostcssConfig());
-  writeFile(path.join(frontendRoot, "tailwind.config.ts"), buildFrontendTailwindConfig());
-  writeFile(path.join(frontendRoot, "components.json"), buildFrontendComponentsJson());
-
-  ensureDir(path.join(frontendRoot, "src"));
-  ensureDir(path.join(frontendRoot, "src", "lib"));
-  ensureDir(path.join(frontendRoot, "src", "components"));
-
-  writeFile(path.join(frontendRoot, "src", "main.tsx"), buildFrontendMainTsx());
-  writeFile(path.join(frontendRoot, "src", "App.tsx"), buildFrontendAppTsx());
-  writeFile(path.join(frontendRoot, "src", "index.css"), buildFrontendCss());
-  writeFile(path.join(frontendRoot, "src", "lib", "utils.ts"), buildFrontendUtils());
-  writeFile(path.join(frontendRoot, "src", "vite-env.d.ts"), buildFrontendViteEnv());
-
-  writeFile(
-    path.join(targetDir, "src", "electron", "main.js"),
-    buildElectronMain()
-  );
-  writeFile(
-    path.join(targetDir, "src", "electron", "preload.js"),
-    buildElectronPreload()
+function readProjectInfo(projectDir) {
+  const pkgPath = path.join(projectDir, "package.json");
+  if (!fs.existsSync(pkgPath) || !fs.existsSync(path.join(projectDir, "src", "frontend", "package.json"))) {
+    throw new CliError(`${projectDir} does not look like a generated project (no package.json or src/frontend/package.json)`);
+  }
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+  } catch (err) {
+    throw new CliError(`Failed to read ${pkgPath}: ${err.message}`);
+  }
+  const electronTs = fs.existsSync(path.join(projectDir, "src", "electron", "main.ts"));
+  return {
+    dir: projectDir,
+    projectName: pkg.name || toPackageName(path.basename(projectDir)),
+    packageManager: detectProjectPackageManager(projectDir, pkg),
+    workspace: Array.isArray(pkg.workspaces),
+    electronTs,
+    mainFile: `src/electron/main.${electronTs ? "ts" : "js"}`,
+    sharedFile: electronTs ? "src/shared/ipc-channels.ts" : "src/shared/ipc-channels.js",
+    sharedTypesFile: electronTs ? "src/shared/ipc-channels.ts" : "src/shared/ipc-channels.d.ts",
+  };
+}
+
+function detectProjectPackageManager(projectDir, pkg) {
+  const pinned = (pkg.packageManager || "").split("@")[0];
+  if (PACKAGE_MANAGERS[pinned]) return pinned;
+  const found = Object.values(PACKAGE_MANAGERS).find((pm) =>
+    pm.lockfiles.some((lockfile) => fs.existsSync(path.join(projectDir, lockfile)))
   );
+  if (found) return found.key;
+  if (fs.existsSync(path.join(projectDir, "pnpm-workspace.yaml"))) return "pnpm";
+  if (fs.existsSync(path.join(projectDir, ".yarnrc.yml"))) return "yarn";
+  return "npm";
+}
 
-  backend.createFiles(targetDir, projectName);
+function installHint(packageManager, workspace) {
+  const pm = getPackageManager(packageManager);
+  return pm.workspace || workspace
+    ? `run ${pm.key} install`
+    : `run ${pm.key} install (and ${pm.key} install in src/frontend)`;
+}
+
+function importLine(project, names, request) {
+  return project.electronTs
+    ? `import { ${names.join(", ")} } from "${request}";\n`
+    : `const { ${names.join(", ")} } = require("${request}");\n`;
+}
+
+// Patches are idempotent: a patch whose text (or `present` pattern) is already
+// in the file is skipped, and an anchor that is missing or ambiguous means the
+// file was edited by hand, which is reported as a conflict.
+function insertText(anchor, text, { before = false, present = null } = {}) {
+  return (content, rel) => {
+    if (present ? present.test(content) : content.includes(text)) return content;
+    const count = content.split(anchor).length - 1;
+    if (count !== 1) {
+      throw new CliError(`${rel}: expected 1 occurrence of ${JSON.stringify(anchor.trim())}, found ${count}`);
+    }
+    return content.replace(anchor, () => (before ? text + anchor : anchor + text));
+  };
+}
+
+function replaceText(find, replacement) {
+  return (content, rel) => {
+    if (content.includes(replacement) && !content.includes(find)) return content;
+    const count = content.split(find).length - 1;
+    if (count !== 1) {
+      throw new CliError(`${rel}: expected 1 occurrence of ${JSON.stringify(find.trim())}, found ${count}`);
+    }
+    return content.replace(find, () => replacement);
+  };
+}
 
-  const scripts = buildScripts(isWindows, backend);
-  Object.entries(scripts).forEach(([name, content]) => {
-    writeExecutableIfUnix(path.join(targetDir, "scripts", name), content, isWindows);
+function featureTemplates(set, project) {
+  const files = [];
+  readTemplateSet(path.join(TEMPLATES_ROOT, set)).forEach((file, rel) => {
+    files.push({ rel, content: renderTemplate(readTemplateFile(file), { projectName: project.projectName }, file) });
   });
+  return files;
+}
 
-  const pkg = {
-    name: projectName,
-    version: "0.1.0",
-    private: true,
-    main: "src/electron/main.js",
-    scripts: {
-      "electron:dev": "electron .",
-      "electron:pack": "echo \"TODO: add packaging step\"",
+function mainProcessPatches(project, { imports, beforeOpen, afterOpen, onQuit }) {
+  const patches = [];
+  const ipcImport = importLine(project, ["registerIpcHandlers", "broadcast"], "./ipc");
+  if (imports) patches.push(insertText(ipcImport, imports));
+  if (beforeOpen) patches.push(insertText("\n  openMainWindow();\n", `\n${beforeOpen}`, { before: true }));
+  if (afterOpen) patches.push(insertText("\n  openMainWindow();\n", afterOpen));
+  if (onQuit) patches.push(insertText('app.on("before-quit", () => {\n', onQuit));
+  return patches.map((edit) => ({ rel: project.mainFile, edit }));
+}
+
+const FEATURES = {
+  router: {
+    description: "react-router with a layout in App.tsx (hash routing for file://)",
+    plan(project) {
+      const files = featureTemplates("feature-router", project);
+      const appRel = "src/frontend/src/App.tsx";
+      const homeRel = "src/frontend/src/pages/Home.tsx";
+      if (!fs.existsSync(path.join(project.dir, homeRel))) {
+        const appFile = path.join(project.dir, appRel);
+        const current = fs.existsSync(appFile) ? fs.readFileSync(appFile, "utf8") : "";
+        if (!current.includes("export default function App()")) {
+          throw new CliError(`${appRel}: expected "export default function App()" to move into ${homeRel}`);
+        }
+        files.push({
+          rel: homeRel,
+          content: current
+            .replace("export default function App()", "export default function Home()")
+            .split('"../../shared/')
+            .join('"../../../shared/'),
+        });
+        files.find((file) => file.rel === appRel).overwrite = true;
+        const appTestFile = path.join(project.dir, "src/frontend/src/App.test.tsx");
+        if (fs.existsSync(appTestFile)) {
+          files.push({
+            rel: "src/frontend/src/pages/Home.test.tsx",
+            content: fs
+              .readFileSync(appTestFile, "utf8")
+              .replace('import App from "./App";', 'import Home from "./Home";')
+              .replace('describe("App"', 'describe("Home"')
+              .split("<App />")
+              .join("<Home />"),
+          });
+          files.push({ rel: "src/frontend/src/App.test.tsx", content: null });
+        }
+      }
+      return {
+        files,
+        patches: [
+          replaceText(
+            'import App from "./App";\n',
+            'import { RouterProvider } from "react-router-dom";\nimport { router } from "./router";\n'
+          ),
+          replaceText("<App />", "<RouterProvider router={router} />"),
+        ].map((edit) => ({ rel: "src/frontend/src/main.tsx", edit })),
+        packages: { "src/frontend/package.json": { dependencies: { "react-router-dom": "^6.28.0" } } },
+      };
     },
-    devDependencies: {
-      electron: normalizeVersion(selected.version),
+  },
+  state: {
+    description: "zustand store in src/frontend/src/store",
+    plan(project) {
+      return {
+        files: featureTemplates("feature-state", project),
+        patches: [],
+        packages: { "src/frontend/package.json": { dependencies: { zustand: "^4.5.5" } } },
+      };
+    },
+  },
+  sqlite: {
+    description: "better-sqlite3 database in the main process with migrations",
+    plan(project) {
+      const patches = mainProcessPatches(project, {
+        imports: importLine(project, ["openDatabase", "closeDatabase"], "./db"),
+        beforeOpen: "  openDatabase();",
+        onQuit: "  closeDatabase();\n",
+      });
+      const rootPackage = {
+        dependencies: { "better-sqlite3": "^11.5.0" },
+        scripts: { postinstall: "electron-builder install-app-deps" },
+      };
+      if (project.electronTs) {
+        rootPackage.devDependencies = { "@types/better-sqlite3": "^7.6.11" };
+        patches.push({
+          rel: "scripts/build-electron.mjs",
+          edit: replaceText('external: ["electron"]', 'external: ["electron", "better-sqlite3"]'),
+        });
+      }
+      return {
+        files: featureTemplates(project.electronTs ? "feature-sqlite-ts" : "feature-sqlite-js", project),
+        patches,
+        packages: { "package.json": rootPackage },
+      };
+    },
+  },
+  tray: {
+    description: "system tray icon with Show / Quit menu",
+    plan(project) {
+      const patches = mainProcessPatches(project, {
+        imports: importLine(project, ["createTray", "hasTray"], "./tray"),
+        afterOpen: "  createTray(openMainWindow);\n",
+      });
+      // Closing the last window must not quit the app while the tray can reopen it.
+      patches.push({
+        rel: project.mainFile,
+        edit: replaceText(
+          '  if (process.platform !== "darwin") app.quit();\n',
+          '  if (process.platform !== "darwin" && !hasTray()) app.quit();\n'
+        ),
+      });
+      return {
+        files: featureTemplates(project.electronTs ? "feature-tray-ts" : "feature-tray-js", project),
+        patches,
+        packages: {},
+      };
+    },
+  },
+  "ipc-channel": {
+    description: "typed invoke channel with an echo handler (add ipc-channel <name>)",
+    plan(project, name) {
+      if (!name || !/^[a-z][A-Za-z0-9]*$/.test(name)) {
+        throw new CliError("Usage: node init.js add ipc-channel <name> (camelCase, e.g. listNotes)");
+      }
+      const channel = "app:" + name.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+      const channelsAnchor = project.electronTs
+        ? "export const invokeChannels = {\n"
+        : "const invokeChannels = {\n";
+      // An echo keeps the channel working end to end until it gets real logic.
+      const handler = `    ${name}: (payload) => payload,\n`;
+      return {
+        files: [],
+        patches: [
+          {
+            rel: project.sharedFile,
+            edit: insertText(channelsAnchor, `  ${name}: "${channel}",\n`, {
+              present: new RegExp(`^  ${name}: "`, "m"),
+            }),
+          },
+          {
+            rel: project.sharedTypesFile,
+            edit: insertText("export interface IpcInvokeMap {\n", `  ${name}: { request: unknown; response: unknown };\n`, {
+              present: new RegExp(`^  ${name}: \\{`, "m"),
+            }),
+          },
+          {
+            rel: project.mainFile,
+            edit: insertText("  registerIpcHandlers({\n", handler, {
+              present: new RegExp(`^    ${name}: \\(`, "m"),
+            }),
+          },
+        ],
+        packages: {},
+      };
     },
+  },
+};
+
+function applyPackageChanges(content, changes, rel, conflicts) {
+  const pkg = JSON.parse(content);
+  Object.entries(changes).forEach(([section, entries]) => {
+    const current = pkg[section] || {};
+    Object.entries(entries).forEach(([name, value]) => {
+      if (current[name] === undefined) {
+        current[name] = value;
+      } else if (current[name] !== value && section === "scripts") {
+        conflicts.push(`${rel}: script "${name}" is already "${current[name]}"`);
+      }
+    });
+    pkg[section] =
+      section === "scripts"
+        ? current
+        : Object.fromEntries(Object.entries(current).sort(([a], [b]) => a.localeCompare(b)));
+  });
+  return JSON.stringify(pkg, null, 2) + "\n";
+}
+
+function addFeature(featureKey, featureArg) {
+  const feature = FEATURES[featureKey];
+  if (!feature) {
+    throw new CliError(
+      `Unknown feature "${featureKey || ""}". Available: ${Object.keys(FEATURES).join(", ")}`
+    );
+  }
+  const projectDir = path.resolve(process.cwd(), options.target || ".");
+  const project = readProjectInfo(projectDir);
+  const plan = feature.plan(project, featureArg);
+
+  const pending = new Map();
+  const read = (rel) => {
+    if (pending.has(rel)) return pending.get(rel);
+    const file = path.join(projectDir, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
   };
-  writeFile(path.join(targetDir, "package.json"), JSON.stringify(pkg, null, 2) + "\n");
+  const conflicts = [];
+  const actions = [];
+  plan.files.forEach(({ rel, content, overwrite }) => {
+    const current = read(rel);
+    if (current === content) return;
+    if (content === null) {
+      pending.set(rel, null);
+      actions.push({ action: "remove", rel });
+      return;
+    }
+    if (current !== null && !overwrite) {
+      conflicts.push(`${rel}: already exists with different content`);
+      return;
+    }
+    pending.set(rel, content);
+    actions.push({ action: current === null ? "create" : "replace", rel });
+  });
+  plan.patches.forEach(({ rel, edit }) => {
+    const current = read(rel);
+    if (current === null) {
+      conflicts.push(`${rel}: file not found`);
+      return;
+    }
+    try {
+      const updated = edit(current, rel);
+      if (updated !== current) pending.set(rel, updated);
+    } catch (err) {
+      if (!(err instanceof CliError)) throw err;
+      conflicts.push(err.message);
+    }
+  });
+  Object.entries(plan.packages).forEach(([rel, changes]) => {
+    const updated = applyPackageChanges(read(rel), changes, rel, conflicts);
+    if (updated !== read(rel)) pending.set(rel, updated);
+  });
+  if (conflicts.length > 0) {
+    throw new CliError(
+      `Cannot add ${featureKey}: the project has conflicting manual edits. Nothing was changed.\n` +
+        conflicts.map((conflict) => `  ${conflict}`).join("\n")
+    );
+  }
 
-  const npmrcLines = [];
-  if (useMirror) {
-    npmrcLines.push(`registry=${NPM_MIRROR_REGISTRY}`);
-    npmrcLines.push(`electron_mirror=${ELECTRON_MIRROR}`);
+  const label = featureArg ? `${featureKey} ${featureArg}` : featureKey;
+  if (pending.size === 0) {
+    console.log(`${label} is already added to ${projectDir}; nothing to do.`);
+    return;
   }
-  if (!enableAudit) {
-    npmrcLines.push("audit=false");
+  console.log(`${dryRun ? "[dry-run] Would add" : "Adding"} ${label} to ${projectDir}`);
+  [...pending.keys()].sort().forEach((rel) => {
+    const known = actions.find((entry) => entry.rel === rel);
+    console.log(`  ${(known ? known.action : "patch").padEnd(8)} ${rel}`);
+  });
+  if (dryRun) return;
+  pending.forEach((content, rel) => {
+    if (content === null) {
+      fs.rmSync(path.join(projectDir, rel), { force: true });
+    } else {
+      writeFile(path.join(projectDir, rel), content);
+    }
+  });
+  if (Object.keys(plan.packages).some((rel) => pending.has(rel))) {
+    console.log(`Dependencies changed; ${installHint(project.packageManager, project.workspace)}.`);
   }
-  if (npmrcLines.length > 0) {
-    writeFile(path.join(targetDir, ".npmrc"), npmrcLines.join("\n") + "\n");
+}
+
+async function main() {
+  if (options.securityReport) {
+    const ok = printSecurityReport(path.resolve(process.cwd(), options.securityReport));
+    process.exit(ok ? 0 : 1);
   }
 
-  const env = { ...process.env };
-  if (useMirror) {
-    env.ELECTRON_MIRROR = ELECTRON_MIRROR;
+  const [command, ...commandArgs] = options._;
+  if (command && !["cache", "upgrade", "add"].includes(command)) {
+    throw new CliError(`Unknown command "${command}" (see --help)`);
+  }
+  if (command === "add") {
+    addFeature(commandArgs[0], commandArgs[1]);
+    return;
+  }
+  if (command === "upgrade") {
+    const ok = upgradeProject(commandArgs[0]);
+    process.exit(ok ? 0 : 1);
+  }
+  if (command === "cache" && commandArgs[0] !== "build") {
+    const ok = await runCacheCommand(commandArgs, null, null);
+    process.exit(ok ? 0 : 1);
+  }
+
+  const nodeVersion = getNodeVersion();
+  if (!nodeVersion) {
+    console.error("Node.js is not available in PATH. Please install Node.js first.");
+    process.exit(1);
+  }
+
+  const pm = resolvePackageManager();
+
+  const prompter = createPrompter(options);
+  try {
+    if (command === "cache") {
+      await runCacheCommand(commandArgs, prompter, nodeVersion, pm);
+    } else if (forceRebuild) {
+      await buildCacheEntry(prompter, nodeVersion, pm);
+    } else {
+      await generate(prompter, nodeVersion, pm);
+    }
+  } finally {
+    prompter.close();
+  }
+}
+
+function resolvePackageManager() {
+  const key = options.pm || detectPackageManager();
+  const pm = getPackageManager(key);
+  const version = run(`${pm.key} -v`);
+  if (!version) {
+    const source = options.pm ? "--pm" : "npm_config_user_agent";
+    console.error(`${pm.key} (from ${source}) is not available in PATH. Please install ${pm.key} first.`);
+    process.exit(1);
+  }
+  console.log(`Using ${pm.key} ${version}${options.pm ? "" : " (pass --pm to choose another)"}`);
+  const major = parseMajor(version);
+  if (pm.key === "yarn" && major < 2) {
+    console.log("Warning: Yarn 1 ignores .yarnrc.yml; run `corepack enable` and use Yarn 4 instead.");
+  }
+  // Pin the corepack-managed managers so teammates get the same version.
+  const pinned = (pm.key === "pnpm" || pm.key === "yarn") && !(pm.key === "yarn" && major < 2);
+  return { key: pm.key, version: pinned ? version : null };
+}
+
+async function chooseCacheEntry(prompter, wanted) {
+  if (options.useCache === false) return null;
+  // Without an explicit version, a cached scaffold has to pass the filters a
+  // fresh pick would; --supported-only needs the release list for that.
+  let releases = [];
+  if (!wanted.electronVersion && electronFilter.supportedOnly) {
+    releases = ((await loadReleases()).releases || []).map(normalizeRelease);
+  }
+  const matches = findCacheMatches({
+    ...wanted,
+    electronRelease: electronReleaseFilter(releases, electronFilter),
+  });
+  if (matches.length === 0) {
+    if (options.useCache) {
+      throw new CliError(
+        `No cached scaffold matches ${wanted.backend}` +
+          (wanted.electronVersion
+            ? ` / Electron v${wanted.electronVersion}`
+            : ` / Electron ${describeElectronFilter(electronFilter)}`) +
+          ". Build one with: node init.js cache build (see: node init.js cache list)"
+      );
+    }
+    return null;
+  }
+  console.log("Matching cached scaffolds:");
+  matches.forEach((entry, i) => {
+    console.log(`${i + 1}) ${entry.id}: ${describeCacheEntry(entry)}`);
+  });
+  const useCache = await prompter.toggle(
+    "useCache",
+    "--use-cache or --no-use-cache",
+    "Use a cached scaffold?",
+    false
+  );
+  if (!useCache) return null;
+  if (matches.length === 1) return matches[0];
+  const choice = await prompter.line(
+    null,
+    "--electron-version <ver>",
+    `Choose cached scaffold [1-${matches.length}]: `,
+    "1"
+  );
+  return matches[Math.max(1, Math.min(matches.length, parseInt(choice, 10) || 1)) - 1];
+}
+
+async function generate(prompter, nodeVersion, pm) {
+  const templateDir = resolveTemplateDir();
+  const backends = loadBackends();
+  const targetInput = await prompter.line(
+    "target",
+    "--target <dir>",
+    `Target directory (default: ${DEFAULT_TARGET}): `,
+    DEFAULT_TARGET
+  );
+  const targetDir = path.resolve(process.cwd(), targetInput);
+
+  // A dry run writes nothing, so previewing against an existing project
+  // needs no confirmation.
+  if (dryRun && fs.existsSync(targetDir) && !isEmptyDir(targetDir)) {
+    console.log(`[dry-run] Target directory is not empty: ${targetDir}; nothing will be replaced.`);
+  } else if (fs.existsSync(targetDir) && !isEmptyDir(targetDir)) {
+    const overwrite = await prompter.confirm(
+      "overwrite",
+      "--overwrite or --yes",
+      `Target directory is not empty: ${targetDir}\nOverwrite?`,
+      false
+    );
+    if (!overwrite) {
+      throw new CliError(`Target directory is not empty: ${targetDir}`);
+    }
+    console.log(
+      `Replacing: ${targetDir} (only after the new project has been generated and installed)`
+    );
   }
-  runNpmInstall(targetDir, env, "root");
-  runNpmInstall(path.join(targetDir, "src", "frontend"), env, "frontend");
+
+  const useMirror = await askMirror(prompter);
+  const backend = await selectBackend(prompter, backends);
+  const electronTs = !!options.electronTs;
+
+  const cacheEntry = await chooseCacheEntry(prompter, {
+    backend: backend.key,
+    electronVersion:
+      options.electronVersion !== undefined ? normalizeVersion(options.electronVersion) : null,
+    electronTs,
+    packageManager: pm.key,
+    workspace: !!options.workspace,
+    useMirror,
+    network,
+    audit: enableAudit,
+    templateDir,
+  });
+  const projectName = toPackageName(path.basename(targetDir));
+  if (cacheEntry) {
+    prompter.close();
+    const cacheCtx = {
+      projectName,
+      backend,
+      packageManager: pm.key,
+      workspace: !!options.workspace,
+      useMirror,
+      network,
+      audit: enableAudit,
+      ...installSettings(options),
+    };
+    if (dryRun) {
+      await copyCachedScaffold(cacheEntry, targetDir, cacheCtx);
+      return;
+    }
+    await stageProject(targetDir, (stageDir) =>
+      copyCachedScaffold(cacheEntry, stageDir, cacheCtx, prompter)
+    );
+    console.log(`Scaffold created at: ${targetDir}`);
+    if (cacheCtx.install) await runInPlaceSteps(targetDir, cacheCtx, prompter);
+    else printDeferredInstalls(planInstalls(targetDir, cacheCtx), targetDir);
+    console.log("Done.");
+    return;
+  }
+
+  const electronVersion = await resolveElectronVersion(prompter, nodeVersion);
+  prompter.close();
+
+  const ctx = {
+    projectName,
+    backend,
+    electronVersion,
+    electronTs,
+    packageManager: pm.key,
+    packageManagerVersion: pm.version,
+    workspace: !!options.workspace,
+    useMirror,
+    network,
+    audit: enableAudit,
+    templateDir,
+    ...installSettings(options),
+  };
+
+  if (dryRun) {
+    const plan = planProject(targetDir, ctx);
+    printDryRun(targetDir, plan.out, plan.installPlan, plan.env, plan.bootstrapPlan, plan.lockfiles);
+    return;
+  }
+
+  await stageProject(targetDir, (stageDir) =>
+    createProject(stageDir, planProject(stageDir, ctx), prompter)
+  );
 
   console.log(`Scaffold created at: ${targetDir}`);
+  if (ctx.install) await runInPlaceSteps(targetDir, ctx, prompter);
+  else printDeferredInstalls(planInstalls(targetDir, ctx), targetDir);
   console.log("Done.");
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+function scaffold(scaffoldOptions = {}) {
+  const cwd = scaffoldOptions.cwd || process.cwd();
+  const targetDir = path.resolve(cwd, scaffoldOptions.target || DEFAULT_TARGET);
+  const projectName = scaffoldOptions.projectName || toPackageName(path.basename(targetDir));
+  const backends = loadBackends(scaffoldOptions, cwd);
+  const backend = findBackend(backends, scaffoldOptions.backend || backends[0].key);
+
+  let electronVersion;
+  if (scaffoldOptions.electronVersion !== undefined) {
+    electronVersion = normalizeVersion(scaffoldOptions.electronVersion);
+  } else if (scaffoldOptions.releases) {
+    const nodeVersion = normalizeVersion(scaffoldOptions.nodeVersion || process.version);
+    const picked = pickElectronVersion(
+      scaffoldOptions.releases,
+      parseMajor(nodeVersion),
+      electronFilters(scaffoldOptions)
+    );
+    if (!picked) throw new CliError("No Electron release found in the given releases list");
+    electronVersion = picked.version;
+  } else {
+    throw new CliError("scaffold() needs electronVersion or a releases list to pick from");
+  }
+
+  const platform = scaffoldOptions.platform || hostPlatform;
+  if (platform !== "unix" && platform !== "windows") {
+    throw new CliError(`platform must be "unix" or "windows", got "${platform}"`);
+  }
+  const plan = planProject(targetDir, {
+    projectName,
+    backend,
+    electronVersion,
+    electronTs: !!scaffoldOptions.electronTs,
+    packageManager: getPackageManager(scaffoldOptions.pm).key,
+    packageManagerVersion: scaffoldOptions.pmVersion || null,
+    workspace: !!scaffoldOptions.workspace,
+    useMirror: !!scaffoldOptions.mirror,
+    network: networkOverrides(scaffoldOptions, cwd),
+    ...installSettings(scaffoldOptions),
+    audit: !!scaffoldOptions.audit,
+    templateDir: resolveTemplateDir(scaffoldOptions.templateDir, cwd),
+    platform,
+  });
+  return {
+    targetDir,
+    projectName,
+    backend: backend.key,
+    electronVersion,
+    files: plan.out.files,
+    dirs: [...plan.out.dirs],
+    lockfiles: plan.lockfiles,
+    installPlan: plan.installPlan,
+    bootstrapPlan: plan.bootstrapPlan,
+    env: plan.env,
+  };
+}
+
+module.exports = {
+  scaffold,
+  BUILTIN_BACKENDS,
+  CliError,
+  parseArgs,
+  loadAnswers,
+  parseSemver,
+  compareSemver,
+  normalizeVersion,
+  pickElectronVersion,
+  listElectronCandidates,
+  electronReleaseFilter,
+  toPackageName,
+  buildAppId,
+  buildRootPackageJson,
+  buildFrontendPackageJson,
+  buildNpmrc,
+  checkToolchain,
+  detectPackageManager,
+  fetchJson,
+  proxyFor,
+  renderTemplate,
+  copyDir,
+  listFiles,
+  stageProject,
+  diffLines,
+  mergeLines,
+  scaffoldCacheKey,
+};
+
+if (require.main === module) {
+  try {
+    configure(resolveOptions(process.argv.slice(2)));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (options.help) {
+    printHelp();
+    process.exit(0);
+  }
+  main().catch((err) => {
+    console.error(err instanceof CliError ? err.message : err);
+    process.exit(1);
+  });
+}
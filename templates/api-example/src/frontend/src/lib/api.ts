@@ -0,0 +1,89 @@
+// Generated by scripts/gen-api.mjs from src/backend/openapi.json; do not edit.
+// Run `npm run gen:api` after changing the backend API.
+
+export interface Health {
+  ok: boolean;
+}
+
+export interface Item {
+  id: number;
+  title: string;
+  done: boolean;
+}
+
+export interface ItemInput {
+  title: string;
+  done?: boolean;
+}
+
+export class ApiError extends Error {
+  constructor(
+    readonly status: number,
+    readonly body: unknown
+  ) {
+    super(`Request failed with status ${status}`);
+    this.name = "ApiError";
+  }
+}
+
+let baseUrl: string | null = null;
+
+// Defaults to the backend Electron started (window.api.backendUrl).
+export function setBaseUrl(url: string | null) {
+  baseUrl = url;
+}
+
+function backendUrl(): string {
+  const url = baseUrl ?? window.api?.backendUrl;
+  if (!url) {
+    throw new Error("Backend URL unknown: run inside Electron or call setBaseUrl()");
+  }
+  return url.replace(/\/+$/, "");
+}
+
+async function request<T>(method: string, path: string, body?: unknown): Promise<T> {
+  const res = await fetch(backendUrl() + path, {
+    method,
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let data: unknown = text || undefined;
+  try {
+    data = text ? JSON.parse(text) : undefined;
+  } catch {
+    // Not JSON: keep the raw text.
+  }
+  if (!res.ok) throw new ApiError(res.status, data);
+  return data as T;
+}
+
+/** GET /api/health */
+export function getHealth(): Promise<Health> {
+  return request<Health>("GET", "/api/health");
+}
+
+/** GET /api/items */
+export function listItems(): Promise<Item[]> {
+  return request<Item[]>("GET", "/api/items");
+}
+
+/** POST /api/items */
+export function createItem(body: ItemInput): Promise<Item> {
+  return request<Item>("POST", "/api/items", body);
+}
+
+/** GET /api/items/{item_id} */
+export function getItem(itemId: number): Promise<Item> {
+  return request<Item>("GET", `/api/items/${encodeURIComponent(String(itemId))}`);
+}
+
+/** PUT /api/items/{item_id} */
+export function updateItem(itemId: number, body: ItemInput): Promise<Item> {
+  return request<Item>("PUT", `/api/items/${encodeURIComponent(String(itemId))}`, body);
+}
+
+/** DELETE /api/items/{item_id} */
+export function deleteItem(itemId: number): Promise<void> {
+  return request<void>("DELETE", `/api/items/${encodeURIComponent(String(itemId))}`);
+}
@@ -0,0 +1,243 @@
+// Regenerates the typed API client (src/frontend/src/lib/api.ts) from the
+// backend's OpenAPI document. Backends whose schema is built in (FastAPI)
+// export it to the spec file first; pass --skip-export to use the file as is.
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const API = {{backendApi}};
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const isWindows = process.platform === "win32";
+const specFile = path.join(root, API.spec);
+const outFile = path.join(root, "src", "frontend", "src", "lib", "api.ts");
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+if (API.export && !process.argv.includes("--skip-export")) {
+  const command = (isWindows && API.export.commandWindows) || API.export.command;
+  const args = API.export.args || [];
+  console.log(`> ${command} ${args.join(" ")}`);
+  const result = spawnSync(command, args, {
+    cwd: path.join(root, API.export.cwd || "."),
+    stdio: "inherit",
+    shell: isWindows,
+  });
+  if (result.status !== 0) {
+    console.error(`Exporting the OpenAPI schema failed: ${command} ${args.join(" ")}`);
+    process.exit(result.status || 1);
+  }
+}
+
+const spec = JSON.parse(fs.readFileSync(specFile, "utf8"));
+const schemas = (spec.components && spec.components.schemas) || {};
+
+const refName = (ref) => ref.split("/").pop();
+
+const camelCase = (name) =>
+  name
+    .replace(/[^A-Za-z0-9]+(.)?/g, (_match, next) => (next ? next.toUpperCase() : ""))
+    .replace(/^[A-Z]/, (first) => first.toLowerCase());
+
+function tsType(schema) {
+  if (!schema || Object.keys(schema).length === 0) return "unknown";
+  if (schema.$ref) return refName(schema.$ref);
+  const variants = schema.anyOf || schema.oneOf;
+  let type;
+  if (variants) {
+    type = variants.map(tsType).join(" | ");
+  } else if (Array.isArray(schema.type)) {
+    type = schema.type.map((t) => tsType({ ...schema, type: t })).join(" | ");
+  } else if (schema.enum) {
+    type = schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  } else if (schema.type === "string") {
+    type = "string";
+  } else if (schema.type === "integer" || schema.type === "number") {
+    type = "number";
+  } else if (schema.type === "boolean") {
+    type = "boolean";
+  } else if (schema.type === "null") {
+    type = "null";
+  } else if (schema.type === "array") {
+    const item = tsType(schema.items);
+    type = /[ |]/.test(item) ? `(${item})[]` : `${item}[]`;
+  } else if (schema.properties) {
+    type = `{ ${objectFields(schema).join(" ")} }`;
+  } else if (schema.additionalProperties) {
+    const values = schema.additionalProperties === true ? {} : schema.additionalProperties;
+    type = `Record<string, ${tsType(values)}>`;
+  } else {
+    type = schema.type === "object" ? "Record<string, unknown>" : "unknown";
+  }
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function objectFields(schema) {
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([name, prop]) => {
+    const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    return `${key}${required.has(name) ? "" : "?"}: ${tsType(prop)};`;
+  });
+}
+
+const jsonSchema = (content) =>
+  content && content["application/json"] && content["application/json"].schema;
+
+const operations = [];
+Object.entries(spec.paths || {}).forEach(([route, item]) => {
+  METHODS.forEach((method) => {
+    const op = item[method];
+    if (!op) return;
+    const params = [...(item.parameters || []), ...(op.parameters || [])];
+    const status = Object.keys(op.responses || {})
+      .filter((code) => /^2\d\d$/.test(code))
+      .sort()[0];
+    operations.push({
+      name: camelCase(op.operationId || `${method} ${route}`),
+      method: method.toUpperCase(),
+      route,
+      pathParams: params.filter((p) => p.in === "path"),
+      queryParams: params.filter((p) => p.in === "query"),
+      body: op.requestBody ? jsonSchema(op.requestBody.content) : null,
+      bodyRequired: !!(op.requestBody && op.requestBody.required),
+      response: status ? jsonSchema(op.responses[status].content) : null,
+    });
+  });
+});
+
+// Only schemas the client uses: 2xx responses, request bodies, parameters and
+// whatever they reference. Error shapes stay on ApiError.body.
+const used = new Set();
+function collect(schema) {
+  if (!schema || typeof schema !== "object") return;
+  if (schema.$ref) {
+    const name = refName(schema.$ref);
+    if (used.has(name)) return;
+    used.add(name);
+    collect(schemas[name]);
+    return;
+  }
+  Object.values(schema).forEach((value) => {
+    if (Array.isArray(value)) value.forEach(collect);
+    else collect(value);
+  });
+}
+operations.forEach((op) => {
+  [op.body, op.response, ...[...op.pathParams, ...op.queryParams].map((p) => p.schema)].forEach(
+    collect
+  );
+});
+
+const lines = [
+  `// Generated by scripts/gen-api.mjs from ${API.spec}; do not edit.`,
+  "// Run `npm run gen:api` after changing the backend API.",
+  "",
+];
+
+Object.entries(schemas)
+  .filter(([name]) => used.has(name))
+  .forEach(([name, schema]) => {
+    if (schema.properties) {
+      const fields = objectFields(schema).map((field) => `  ${field}`);
+      lines.push(`export interface ${name} {`, ...fields, "}", "");
+    } else {
+      lines.push(`export type ${name} = ${tsType(schema)};`, "");
+    }
+  });
+
+lines.push(
+  "export class ApiError extends Error {",
+  "  constructor(",
+  "    readonly status: number,",
+  "    readonly body: unknown",
+  "  ) {",
+  "    super(`Request failed with status ${status}`);",
+  '    this.name = "ApiError";',
+  "  }",
+  "}",
+  "",
+  "let baseUrl: string | null = null;",
+  "",
+  "// Defaults to the backend Electron started (window.api.backendUrl).",
+  "export function setBaseUrl(url: string | null) {",
+  "  baseUrl = url;",
+  "}",
+  "",
+  "function backendUrl(): string {",
+  "  const url = baseUrl ?? window.api?.backendUrl;",
+  "  if (!url) {",
+  '    throw new Error("Backend URL unknown: run inside Electron or call setBaseUrl()");',
+  "  }",
+  '  return url.replace(/\\/+$/, "");',
+  "}",
+  "",
+  "async function request<T>(method: string, path: string, body?: unknown): Promise<T> {",
+  "  const res = await fetch(backendUrl() + path, {",
+  "    method,",
+  '    headers: body === undefined ? undefined : { "Content-Type": "application/json" },',
+  "    body: body === undefined ? undefined : JSON.stringify(body),",
+  "  });",
+  "  const text = await res.text();",
+  "  let data: unknown = text || undefined;",
+  "  try {",
+  "    data = text ? JSON.parse(text) : undefined;",
+  "  } catch {",
+  "    // Not JSON: keep the raw text.",
+  "  }",
+  "  if (!res.ok) throw new ApiError(res.status, data);",
+  "  return data as T;",
+  "}"
+);
+if (operations.some((op) => op.queryParams.length > 0)) {
+  lines.push(
+    "",
+    "function query(params: Record<string, unknown>): string {",
+    "  const search = new URLSearchParams();",
+    "  Object.entries(params).forEach(([key, value]) => {",
+    "    if (value !== undefined && value !== null) search.append(key, String(value));",
+    "  });",
+    "  const text = search.toString();",
+    '  return text ? `?${text}` : "";',
+    "}"
+  );
+}
+
+operations.forEach((op) => {
+  const args = op.pathParams.map((p) => `${camelCase(p.name)}: ${tsType(p.schema)}`);
+  if (op.body) args.push(`body${op.bodyRequired ? "" : "?"}: ${tsType(op.body)}`);
+  if (op.queryParams.length > 0) {
+    const fields = op.queryParams.map(
+      (p) => `${camelCase(p.name)}${p.required ? "" : "?"}: ${tsType(p.schema)}`
+    );
+    const optional = op.queryParams.every((p) => !p.required);
+    args.push(`params${optional ? "?" : ""}: { ${fields.join("; ")} }`);
+  }
+  let url = op.route.replace(
+    /\{([^}]+)\}/g,
+    (_match, name) => `\${encodeURIComponent(String(${camelCase(name)}))}`
+  );
+  url = url.includes("${") ? `\`${url}\`` : JSON.stringify(url);
+  if (op.queryParams.length > 0) {
+    const pairs = op.queryParams.map(
+      (p) => `${JSON.stringify(p.name)}: params?.${camelCase(p.name)}`
+    );
+    url += ` + query({ ${pairs.join(", ")} })`;
+  }
+  const result = op.response ? tsType(op.response) : "void";
+  const call = [JSON.stringify(op.method), url, ...(op.body ? ["body"] : [])].join(", ");
+  lines.push(
+    "",
+    `/** ${op.method} ${op.route} */`,
+    `export function ${op.name}(${args.join(", ")}): Promise<${result}> {`,
+    `  return request<${result}>(${call});`,
+    "}"
+  );
+});
+
+const output = `${lines.join("\n")}\n`;
+const previous = fs.existsSync(outFile) ? fs.readFileSync(outFile, "utf8") : null;
+if (previous === output) {
+  console.log(`${path.relative(root, outFile)} is up to date.`);
+} else {
+  fs.writeFileSync(outFile, output);
+  console.log(`Wrote ${path.relative(root, outFile)} (${operations.length} operations).`);
+}
@@ -0,0 +1,3 @@
+module {{projectName}}
+
+go 1.21
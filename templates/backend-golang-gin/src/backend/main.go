@@ -0,0 +1,176 @@
+package main
+
+import (
+  _ "embed"
+  "net/http"
+  "os"
+  "regexp"
+  "sort"
+  "strconv"
+  "sync"
+
+  "github.com/gin-gonic/gin"
+)
+
+// openapi.json is the API contract; `npm run gen:api` turns it into
+// src/frontend/src/lib/api.ts. Keep the routes below in step with it.
+//
+//go:embed openapi.json
+var openapiSpec []byte
+
+// The renderer calls the backend cross-origin: from the Vite dev server
+// (http://localhost:<port>) in development and from file:// (Origin "null")
+// when built.
+var allowedOrigin = regexp.MustCompile(`^(https?://(localhost|127\.0\.0\.1)(:\d+)?|null|file://)$`)
+
+func cors(c *gin.Context) {
+  if origin := c.GetHeader("Origin"); origin != "" && allowedOrigin.MatchString(origin) {
+    header := c.Writer.Header()
+    header.Set("Access-Control-Allow-Origin", origin)
+    header.Add("Vary", "Origin")
+    header.Set("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS")
+    header.Set("Access-Control-Allow-Headers", "Content-Type")
+  }
+  if c.Request.Method == http.MethodOptions {
+    c.AbortWithStatus(http.StatusNoContent)
+    return
+  }
+  c.Next()
+}
+
+type Item struct {
+  ID    int    `json:"id"`
+  Title string `json:"title"`
+  Done  bool   `json:"done"`
+}
+
+type ItemInput struct {
+  Title string `json:"title" binding:"required"`
+  Done  bool   `json:"done"`
+}
+
+type itemStore struct {
+  mu     sync.Mutex
+  items  map[int]Item
+  nextID int
+}
+
+func newItemStore() *itemStore {
+  return &itemStore{items: map[int]Item{}, nextID: 1}
+}
+
+func itemID(c *gin.Context) (int, bool) {
+  id, err := strconv.Atoi(c.Param("item_id"))
+  if err != nil {
+    c.JSON(http.StatusNotFound, gin.H{"detail": "Item not found"})
+    return 0, false
+  }
+  return id, true
+}
+
+func bindItemInput(c *gin.Context) (ItemInput, bool) {
+  var input ItemInput
+  if err := c.ShouldBindJSON(&input); err != nil {
+    c.JSON(http.StatusUnprocessableEntity, gin.H{"detail": err.Error()})
+    return input, false
+  }
+  return input, true
+}
+
+func setupRouter() *gin.Engine {
+  r := gin.Default()
+  r.Use(cors)
+  store := newItemStore()
+
+  r.GET("/openapi.json", func(c *gin.Context) {
+    c.Data(http.StatusOK, "application/json", openapiSpec)
+  })
+  r.GET("/api/health", func(c *gin.Context) {
+    c.JSON(http.StatusOK, gin.H{"ok": true})
+  })
+
+  r.GET("/api/items", func(c *gin.Context) {
+    store.mu.Lock()
+    defer store.mu.Unlock()
+    items := make([]Item, 0, len(store.items))
+    for _, item := range store.items {
+      items = append(items, item)
+    }
+    sort.Slice(items, func(i, j int) bool { return items[i].ID < items[j].ID })
+    c.JSON(http.StatusOK, items)
+  })
+
+  r.POST("/api/items", func(c *gin.Context) {
+    input, ok := bindItemInput(c)
+    if !ok {
+      return
+    }
+    store.mu.Lock()
+    defer store.mu.Unlock()
+    item := Item{ID: store.nextID, Title: input.Title, Done: input.Done}
+    store.items[item.ID] = item
+    store.nextID++
+    c.JSON(http.StatusCreated, item)
+  })
+
+  r.GET("/api/items/:item_id", func(c *gin.Context) {
+    id, ok := itemID(c)
+    if !ok {
+      return
+    }
+    store.mu.Lock()
+    defer store.mu.Unlock()
+    item, found := store.items[id]
+    if !found {
+      c.JSON(http.StatusNotFound, gin.H{"detail": "Item not found"})
+      return
+    }
+    c.JSON(http.StatusOK, item)
+  })
+
+  r.PUT("/api/items/:item_id", func(c *gin.Context) {
+    id, ok := itemID(c)
+    if !ok {
+      return
+    }
+    input, ok := bindItemInput(c)
+    if !ok {
+      return
+    }
+    store.mu.Lock()
+    defer store.mu.Unlock()
+    if _, found := store.items[id]; !found {
+      c.JSON(http.StatusNotFound, gin.H{"detail": "Item not found"})
+      return
+    }
+    item := Item{ID: id, Title: input.Title, Done: input.Done}
+    store.items[id] = item
+    c.JSON(http.StatusOK, item)
+  })
+
+  r.DELETE("/api/items/:item_id", func(c *gin.Context) {
+    id, ok := itemID(c)
+    if !ok {
+      return
+    }
+    store.mu.Lock()
+    defer store.mu.Unlock()
+    if _, found := store.items[id]; !found {
+      c.JSON(http.StatusNotFound, gin.H{"detail": "Item not found"})
+      return
+    }
+    delete(store.items, id)
+    c.Status(http.StatusNoContent)
+  })
+
+  return r
+}
+
+func main() {
+  port := os.Getenv("PORT")
+  if port == "" {
+    port = "{{backendPort}}"
+  }
+
+  setupRouter().Run("127.0.0.1:" + port)
+}
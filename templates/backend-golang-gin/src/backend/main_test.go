@@ -0,0 +1,84 @@
+package main
+
+import (
+  "net/http"
+  "net/http/httptest"
+  "strings"
+  "testing"
+
+  "github.com/gin-gonic/gin"
+)
+
+func TestHealthEndpoint(t *testing.T) {
+  gin.SetMode(gin.TestMode)
+  w := httptest.NewRecorder()
+  req := httptest.NewRequest(http.MethodGet, "{{backendHealthEndpoint}}", nil)
+  setupRouter().ServeHTTP(w, req)
+
+  if w.Code != http.StatusOK {
+    t.Fatalf("expected status 200, got %d", w.Code)
+  }
+  if body := w.Body.String(); body != `{"ok":true}` {
+    t.Fatalf("unexpected body %s", body)
+  }
+}
+
+func TestItemsCrud(t *testing.T) {
+  gin.SetMode(gin.TestMode)
+  router := setupRouter()
+  call := func(method, path, body string) *httptest.ResponseRecorder {
+    w := httptest.NewRecorder()
+    req := httptest.NewRequest(method, path, strings.NewReader(body))
+    req.Header.Set("Content-Type", "application/json")
+    router.ServeHTTP(w, req)
+    return w
+  }
+
+  if w := call(http.MethodPost, "/api/items", `{"title":"Write docs"}`); w.Code != http.StatusCreated ||
+    w.Body.String() != `{"id":1,"title":"Write docs","done":false}` {
+    t.Fatalf("create: %d %s", w.Code, w.Body.String())
+  }
+  if w := call(http.MethodPut, "/api/items/1", `{"title":"Write docs","done":true}`); w.Code != http.StatusOK {
+    t.Fatalf("update: %d %s", w.Code, w.Body.String())
+  }
+  if w := call(http.MethodGet, "/api/items", ""); w.Body.String() != `[{"id":1,"title":"Write docs","done":true}]` {
+    t.Fatalf("list: %s", w.Body.String())
+  }
+  if w := call(http.MethodDelete, "/api/items/1", ""); w.Code != http.StatusNoContent {
+    t.Fatalf("delete: %d", w.Code)
+  }
+  if w := call(http.MethodGet, "/api/items/1", ""); w.Code != http.StatusNotFound {
+    t.Fatalf("get after delete: %d", w.Code)
+  }
+  if w := call(http.MethodPost, "/api/items", `{"done":true}`); w.Code != http.StatusUnprocessableEntity {
+    t.Fatalf("create without title: %d", w.Code)
+  }
+}
+
+func TestCorsPreflight(t *testing.T) {
+  gin.SetMode(gin.TestMode)
+  router := setupRouter()
+  for _, origin := range []string{"http://localhost:5173", "null"} {
+    w := httptest.NewRecorder()
+    req := httptest.NewRequest(http.MethodOptions, "/api/items", nil)
+    req.Header.Set("Origin", origin)
+    req.Header.Set("Access-Control-Request-Method", "POST")
+    req.Header.Set("Access-Control-Request-Headers", "content-type")
+    router.ServeHTTP(w, req)
+
+    if w.Code != http.StatusNoContent {
+      t.Fatalf("preflight from %s: status %d", origin, w.Code)
+    }
+    if got := w.Header().Get("Access-Control-Allow-Origin"); got != origin {
+      t.Fatalf("preflight from %s: Access-Control-Allow-Origin %q", origin, got)
+    }
+  }
+
+  w := httptest.NewRecorder()
+  req := httptest.NewRequest(http.MethodGet, "/api/items", nil)
+  req.Header.Set("Origin", "https://example.com")
+  router.ServeHTTP(w, req)
+  if got := w.Header().Get("Access-Control-Allow-Origin"); got != "" {
+    t.Fatalf("unexpected Access-Control-Allow-Origin %q", got)
+  }
+}
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// openapi.json is the API contract; `npm run gen:api` turns it into
+// src/frontend/src/lib/api.ts. Keep the routes below in step with it.
+const OPENAPI_FILE = path.join(__dirname, "openapi.json");
+
+// The renderer calls the backend cross-origin: from the Vite dev server
+// (http://localhost:<port>) in development and from file:// (Origin "null")
+// when built.
+const ALLOWED_ORIGIN = /^(https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?|null|file:\/\/)$/;
+
+const items = new Map();
+let nextId = 1;
+
+function send(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Mirrors the ItemInput schema: a non-empty title and an optional done flag.
+function parseItemInput(body) {
+  if (!body || typeof body.title !== "string" || body.title === "") return null;
+  if (body.done !== undefined && typeof body.done !== "boolean") return null;
+  return { title: body.title, done: body.done === true };
+}
+
+function allowCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin || !ALLOWED_ORIGIN.test(origin)) return;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  allowCors(req, res);
+  if (req.method === "OPTIONS") {
+    send(res, 204);
+    return;
+  }
+  if (req.method === "GET" && pathname === "/openapi.json") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(fs.readFileSync(OPENAPI_FILE));
+    return;
+  }
+  if (req.method === "GET" && pathname === "/api/health") {
+    send(res, 200, { ok: true });
+    return;
+  }
+  if (pathname === "/api/items") {
+    if (req.method === "GET") {
+      send(res, 200, [...items.values()]);
+      return;
+    }
+    if (req.method === "POST") {
+      const input = parseItemInput(await readJson(req));
+      if (!input) {
+        send(res, 422, { detail: "Expected { title: string, done?: boolean }" });
+        return;
+      }
+      const item = { id: nextId++, ...input };
+      items.set(item.id, item);
+      send(res, 201, item);
+      return;
+    }
+  }
+  const match = pathname.match(/^\/api\/items\/(\d+)$/);
+  if (match && ["GET", "PUT", "DELETE"].includes(req.method)) {
+    const id = Number(match[1]);
+    if (!items.has(id)) {
+      send(res, 404, { detail: "Item not found" });
+      return;
+    }
+    if (req.method === "GET") {
+      send(res, 200, items.get(id));
+    } else if (req.method === "PUT") {
+      const input = parseItemInput(await readJson(req));
+      if (!input) {
+        send(res, 422, { detail: "Expected { title: string, done?: boolean }" });
+        return;
+      }
+      const item = { id, ...input };
+      items.set(id, item);
+      send(res, 200, item);
+    } else {
+      items.delete(id);
+      send(res, 204);
+    }
+    return;
+  }
+  send(res, 404, { detail: "Not found" });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((err) => send(res, 500, { detail: err.message }));
+});
+
+if (require.main === module) {
+  const port = process.env.PORT || {{backendPort}};
+  server.listen(port, "127.0.0.1", () => {
+    console.log(`Backend running on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { server };
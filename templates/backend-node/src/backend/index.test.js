@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { server } = require("./index");
+
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function request(method, path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+test("health endpoint answers with ok", async () => {
+  const res = await fetch(`${baseUrl}{{backendHealthEndpoint}}`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true });
+});
+
+test("serves the OpenAPI document", async () => {
+  const res = await fetch(`${baseUrl}/openapi.json`);
+  assert.equal(res.status, 200);
+  const spec = await res.json();
+  assert.ok(spec.paths["/api/items/{item_id}"]);
+});
+
+test("items can be created, read, updated and deleted", async () => {
+  let res = await request("POST", "/api/items", { title: "Write docs" });
+  assert.equal(res.status, 201);
+  const item = await res.json();
+  assert.deepEqual(item, { id: item.id, title: "Write docs", done: false });
+
+  res = await request("PUT", `/api/items/${item.id}`, { title: "Write docs", done: true });
+  assert.deepEqual(await res.json(), { ...item, done: true });
+
+  res = await request("GET", "/api/items");
+  assert.deepEqual(await res.json(), [{ ...item, done: true }]);
+
+  res = await request("DELETE", `/api/items/${item.id}`);
+  assert.equal(res.status, 204);
+  res = await request("GET", `/api/items/${item.id}`);
+  assert.equal(res.status, 404);
+});
+
+test("rejects an item without a title", async () => {
+  const res = await request("POST", "/api/items", { done: true });
+  assert.equal(res.status, 422);
+});
+
+test("answers CORS preflights from the renderer origins", async () => {
+  for (const origin of ["http://localhost:5173", "null"]) {
+    const res = await fetch(`${baseUrl}/api/items`, {
+      method: "OPTIONS",
+      headers: {
+        Origin: origin,
+        "Access-Control-Request-Method": "POST",
+        "Access-Control-Request-Headers": "content-type",
+      },
+    });
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get("access-control-allow-origin"), origin);
+    assert.match(res.headers.get("access-control-allow-headers"), /Content-Type/i);
+  }
+});
+
+test("does not allow other origins", async () => {
+  const res = await fetch(`${baseUrl}/api/items`, { headers: { Origin: "https://example.com" } });
+  assert.equal(res.headers.get("access-control-allow-origin"), null);
+});
@@ -0,0 +1,87 @@
+import itertools
+import os
+from typing import Dict, List
+
+from fastapi import FastAPI, HTTPException
+from fastapi.middleware.cors import CORSMiddleware
+from pydantic import BaseModel
+import uvicorn
+
+
+class Health(BaseModel):
+    ok: bool
+
+
+class ItemInput(BaseModel):
+    title: str
+    done: bool = False
+
+
+class Item(BaseModel):
+    id: int
+    title: str
+    done: bool
+
+
+# The schema FastAPI serves at /openapi.json is the API contract; export it
+# with `npm run gen:api` to regenerate src/frontend/src/lib/api.ts.
+app = FastAPI(title="{{projectName}}", version="0.1.0")
+
+# The renderer calls the backend cross-origin: from the Vite dev server
+# (http://localhost:<port>) in development and from file:// (Origin "null")
+# when built.
+app.add_middleware(
+    CORSMiddleware,
+    allow_origin_regex=r"(https?://(localhost|127\.0\.0\.1)(:\d+)?|null|file://)",
+    allow_methods=["GET", "POST", "PUT", "DELETE"],
+    allow_headers=["Content-Type"],
+)
+
+items: Dict[int, Item] = {}
+next_id = itertools.count(1)
+
+
+def find_item(item_id: int) -> Item:
+    if item_id not in items:
+        raise HTTPException(status_code=404, detail="Item not found")
+    return items[item_id]
+
+
+@app.get("/api/health", response_model=Health, operation_id="getHealth")
+def get_health():
+    return Health(ok=True)
+
+
+@app.get("/api/items", response_model=List[Item], operation_id="listItems")
+def list_items():
+    return list(items.values())
+
+
+@app.post("/api/items", response_model=Item, status_code=201, operation_id="createItem")
+def create_item(body: ItemInput):
+    item = Item(id=next(next_id), **body.model_dump())
+    items[item.id] = item
+    return item
+
+
+@app.get("/api/items/{item_id}", response_model=Item, operation_id="getItem")
+def get_item(item_id: int):
+    return find_item(item_id)
+
+
+@app.put("/api/items/{item_id}", response_model=Item, operation_id="updateItem")
+def update_item(item_id: int, body: ItemInput):
+    find_item(item_id)
+    items[item_id] = Item(id=item_id, **body.model_dump())
+    return items[item_id]
+
+
+@app.delete("/api/items/{item_id}", status_code=204, operation_id="deleteItem")
+def delete_item(item_id: int):
+    find_item(item_id)
+    del items[item_id]
+
+
+if __name__ == "__main__":
+    port = int(os.environ.get("PORT", "{{backendPort}}"))
+    uvicorn.run(app, host="127.0.0.1", port=port)
@@ -0,0 +1,24 @@
+# -*- mode: python ; coding: utf-8 -*-
+# PyInstaller spec for the packaged backend. Built by scripts/build-backend.mjs.
+
+a = Analysis(
+    ["app.py"],
+    pathex=[],
+    hiddenimports=[
+        "uvicorn.logging",
+        "uvicorn.loops.auto",
+        "uvicorn.protocols.http.auto",
+        "uvicorn.protocols.websockets.auto",
+        "uvicorn.lifespan.on",
+    ],
+)
+pyz = PYZ(a.pure)
+exe = EXE(
+    pyz,
+    a.scripts,
+    [],
+    exclude_binaries=True,
+    name="backend",
+    console=True,
+)
+coll = COLLECT(exe, a.binaries, a.datas, name="backend")
@@ -0,0 +1,9 @@
+"""Writes FastAPI's built-in schema to openapi.json (run by `npm run gen:api`)."""
+import json
+from pathlib import Path
+
+from app import app
+
+Path(__file__).with_name("openapi.json").write_text(
+    json.dumps(app.openapi(), indent=2) + "\n", encoding="utf-8"
+)
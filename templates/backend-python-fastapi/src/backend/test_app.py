@@ -0,0 +1,48 @@
+from fastapi.testclient import TestClient
+
+from app import app
+
+client = TestClient(app)
+
+
+def test_health_endpoint_answers_with_ok():
+    response = client.get("{{backendHealthEndpoint}}")
+    assert response.status_code == 200
+    assert response.json() == {"ok": True}
+
+
+def test_items_can_be_created_read_updated_and_deleted():
+    response = client.post("/api/items", json={"title": "Write docs"})
+    assert response.status_code == 201
+    item = response.json()
+    assert item == {"id": item["id"], "title": "Write docs", "done": False}
+
+    response = client.put(f"/api/items/{item['id']}", json={"title": "Write docs", "done": True})
+    assert response.json() == {**item, "done": True}
+    assert client.get("/api/items").json() == [{**item, "done": True}]
+
+    assert client.delete(f"/api/items/{item['id']}").status_code == 204
+    assert client.get(f"/api/items/{item['id']}").status_code == 404
+
+
+def test_rejects_an_item_without_a_title():
+    assert client.post("/api/items", json={"done": True}).status_code == 422
+
+
+def test_answers_cors_preflights_from_the_renderer_origins():
+    for origin in ["http://localhost:5173", "null"]:
+        response = client.options(
+            "/api/items",
+            headers={
+                "Origin": origin,
+                "Access-Control-Request-Method": "POST",
+                "Access-Control-Request-Headers": "content-type",
+            },
+        )
+        assert response.status_code == 200
+        assert response.headers["access-control-allow-origin"] == origin
+
+
+def test_does_not_allow_other_origins():
+    response = client.get("/api/items", headers={"Origin": "https://example.com"})
+    assert "access-control-allow-origin" not in response.headers
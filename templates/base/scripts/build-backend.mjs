@@ -0,0 +1,42 @@
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const PACKAGING = {{backendPackaging}};
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const outDir = path.join(root, "dist", "backend");
+const isWindows = process.platform === "win32";
+
+if (!PACKAGING) {
+  console.error("The {{backendKey}} backend does not define a packaging step.");
+  process.exit(1);
+}
+
+fs.rmSync(outDir, { recursive: true, force: true });
+fs.mkdirSync(outDir, { recursive: true });
+
+for (const dir of PACKAGING.copy || []) {
+  console.log(`Copying ${dir} -> dist/backend`);
+  fs.cpSync(path.join(root, dir), outDir, {
+    recursive: true,
+    filter: (src) => !/[\\/](node_modules|__pycache__|\.venv)([\\/]|$)/.test(src),
+  });
+}
+
+for (const step of PACKAGING.build || []) {
+  const command = (isWindows && step.commandWindows) || step.command;
+  const args = (step.args || []).map((arg) => arg.replace("$EXE", isWindows ? ".exe" : ""));
+  console.log(`> ${command} ${args.join(" ")}`);
+  const result = spawnSync(command, args, {
+    cwd: path.join(root, step.cwd || "."),
+    stdio: "inherit",
+    shell: isWindows,
+  });
+  if (result.status !== 0) {
+    console.error(`Backend build step failed: ${command} ${args.join(" ")}`);
+    process.exit(result.status || 1);
+  }
+}
+
+console.log("Backend bundled into dist/backend");
@@ -0,0 +1,280 @@
+// Development orchestrator: starts the backend, the Vite dev server and
+// Electron, waits for each to be reachable, restarts Electron when the main
+// process changes and stops everything on Ctrl-C. Works on every OS.
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import { createRequire } from "node:module";
+import net from "node:net";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const frontendDir = path.join(root, "src", "frontend");
+const isWindows = process.platform === "win32";
+const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+const electronTs = !!(pkg.scripts && pkg.scripts["build:electron"]);
+
+const BACKEND = {{backendRuntime}};
+const HEALTH_ENDPOINT = "{{backendHealthEndpoint}}";
+const BACKEND_PORT = {{backendPort}};
+const VITE_PORT = 5173;
+const STARTUP_TIMEOUT_MS = 60000;
+const RESTART_DEBOUNCE_MS = 300;
+
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const COLORS = { backend: 35, vite: 36, electron: 34, build: 33, dev: 32 };
+
+function log(name, message, stream = process.stdout) {
+  const label = `[${name}]`.padEnd(11);
+  const prefix = useColor ? `\x1b[${COLORS[name] || 37}m${label}\x1b[0m` : label;
+  stream.write(`${prefix} ${message}\n`);
+}
+
+function pipeLines(name, readable, stream) {
+  let buffer = "";
+  readable.setEncoding("utf8");
+  readable.on("data", (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach((line) => log(name, line, stream));
+  });
+  readable.on("end", () => {
+    if (buffer) log(name, buffer, stream);
+  });
+}
+
+const children = new Map();
+let shuttingDown = false;
+
+function start(name, command, args, options = {}) {
+  const child = spawn(command, args, {
+    cwd: root,
+    ...options,
+    env: { ...process.env, FORCE_COLOR: useColor ? "1" : "0", ...options.env },
+    detached: !isWindows,
+    windowsHide: true,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  children.set(name, child);
+  pipeLines(name, child.stdout, process.stdout);
+  pipeLines(name, child.stderr, process.stderr);
+  child.on("error", (err) => log(name, `failed to start: ${err.message}`, process.stderr));
+  child.on("exit", () => {
+    if (children.get(name) === child) children.delete(name);
+  });
+  return child;
+}
+
+function killTree(child) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+  if (isWindows) {
+    spawnSync("taskkill", ["/T", "/F", "/PID", String(child.pid)], { windowsHide: true });
+    return;
+  }
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch {
+    child.kill("SIGTERM");
+  }
+}
+
+function shutdown(code) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log("dev", "stopping...");
+  [...children.values()].forEach(killTree);
+  process.exit(code);
+}
+
+process.on("SIGINT", () => shutdown(0));
+process.on("SIGTERM", () => shutdown(0));
+
+// Any long-running process that dies on its own takes the session down with it.
+function exitWith(name, child) {
+  child.on("exit", (code, signal) => {
+    if (shuttingDown) return;
+    log("dev", `${name} exited (${signal || `code ${code}`})`, process.stderr);
+    shutdown(code || 1);
+  });
+}
+
+function getFreePort(preferred) {
+  const tryListen = (port) =>
+    new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.unref();
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        const { port: bound } = server.address();
+        server.close(() => resolve(bound));
+      });
+    });
+  return tryListen(preferred).catch(() => tryListen(0));
+}
+
+async function waitFor(description, check, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      throw new Error(`${description}: process exited before it was ready`);
+    }
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`${description}: not ready after ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+function portOpen(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect(port, "127.0.0.1");
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("error", () => resolve(false));
+  });
+}
+
+function healthy(url) {
+  return new Promise((resolve) => {
+    const req = http.get(url, (res) => {
+      res.resume();
+      resolve(res.statusCode >= 200 && res.statusCode < 300);
+    });
+    req.setTimeout(1000, () => req.destroy());
+    req.on("error", () => resolve(false));
+  });
+}
+
+async function startBackend() {
+  const port = await getFreePort(BACKEND_PORT);
+  const url = `http://127.0.0.1:${port}`;
+  const cwd = path.join(root, BACKEND.cwd || ".");
+  const command =
+    BACKEND.command === "node"
+      ? process.execPath
+      : (isWindows && BACKEND.commandWindows) || BACKEND.command;
+  log("dev", `starting backend on ${url}`);
+  const child = start("backend", command, BACKEND.args || [], {
+    cwd,
+    shell: !!BACKEND.shell,
+    env: { PORT: String(port) },
+  });
+  await waitFor(`backend ${url}${HEALTH_ENDPOINT}`, () => healthy(url + HEALTH_ENDPOINT), child);
+  exitWith("backend", child);
+  log("dev", "backend is healthy");
+  return url;
+}
+
+async function startVite() {
+  const port = await getFreePort(VITE_PORT);
+  const require = createRequire(path.join(frontendDir, "package.json"));
+  const viteBin = path.join(path.dirname(require.resolve("vite/package.json")), "bin", "vite.js");
+  log("dev", `starting Vite on http://127.0.0.1:${port}`);
+  const child = start(
+    "vite",
+    process.execPath,
+    [viteBin, "--host", "127.0.0.1", "--port", String(port), "--strictPort"],
+    { cwd: frontendDir }
+  );
+  await waitFor(`Vite on port ${port}`, () => portOpen(port), child);
+  exitWith("Vite", child);
+  return `http://127.0.0.1:${port}`;
+}
+
+async function startElectronBuild() {
+  const child = start("build", process.execPath, ["scripts/build-electron.mjs", "--watch"]);
+  let state = "building";
+  child.stdout.on("data", (chunk) => {
+    if (String(chunk).includes("rebuilt")) state = "built";
+  });
+  child.stderr.on("data", (chunk) => {
+    if (state === "building" && String(chunk).includes("build failed")) state = "failed";
+  });
+  await waitFor(
+    "esbuild",
+    () => {
+      if (state === "failed") throw new Error("initial Electron build failed");
+      return state === "built";
+    },
+    child
+  );
+  exitWith("esbuild", child);
+}
+
+function runElectron(env) {
+  const require = createRequire(path.join(root, "package.json"));
+  const electronPath = require("electron");
+  const args = ["."];
+  if (!isWindows && process.getuid && process.getuid() === 0) args.push("--no-sandbox");
+
+  let electron = null;
+  let restarting = false;
+  const launch = () => {
+    electron = start("electron", electronPath, args, { env });
+    electron.on("exit", () => {
+      electron = null;
+      if (shuttingDown) return;
+      if (restarting) {
+        restarting = false;
+        launch();
+        return;
+      }
+      // The window was closed: end the whole session.
+      shutdown(0);
+    });
+  };
+
+  let timer = null;
+  const restart = (file) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      log("dev", `${file} changed, restarting Electron`);
+      if (!electron) {
+        launch();
+        return;
+      }
+      restarting = true;
+      killTree(electron);
+    }, RESTART_DEBOUNCE_MS);
+  };
+
+  // Only real content changes count: editors and esbuild rewrite files as-is.
+  const contents = new Map();
+  const read = (file) => {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch {
+      return null;
+    }
+  };
+  const watched = electronTs ? ["dist-electron"] : ["src/electron", "src/shared"];
+  watched.forEach((dir) => {
+    const dirPath = path.join(root, dir);
+    fs.readdirSync(dirPath).forEach((file) => {
+      const full = path.join(dirPath, file);
+      contents.set(full, read(full));
+    });
+    fs.watch(dirPath, (_event, file) => {
+      if (!file || !/\.(c|m)?(js|ts)$/.test(file)) return;
+      const full = path.join(dirPath, file);
+      const content = read(full);
+      if (contents.get(full) === content) return;
+      contents.set(full, content);
+      restart(`${dir}/${file}`);
+    });
+  });
+  launch();
+}
+
+try {
+  const backendUrl = await startBackend();
+  const devUrl = await startVite();
+  if (electronTs) await startElectronBuild();
+  runElectron({ ELECTRON_DEV_URL: devUrl, ELECTRON_BACKEND_URL: backendUrl });
+} catch (err) {
+  log("dev", err.message, process.stderr);
+  shutdown(1);
+}
@@ -0,0 +1,37 @@
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const isWindows = process.platform === "win32";
+const PM_EXEC = {{pmExec}};
+const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+
+function run(command, args) {
+  console.log(`> ${command} ${args.join(" ")}`);
+  const result = spawnSync(command, args, { cwd: root, stdio: "inherit", shell: isWindows });
+  if (result.error) {
+    console.error(`Failed to run ${command}: ${result.error.message}`);
+    process.exit(1);
+  }
+  if (result.status !== 0) process.exit(result.status || 1);
+}
+
+// The e2e test loads the built renderer (and the bundled main process when present).
+["build:electron", "build:frontend"]
+  .filter((script) => pkg.scripts && pkg.scripts[script])
+  .forEach((script) => run("{{packageManager}}", ["run", script]));
+
+const playwright = ["playwright", "test", ...process.argv.slice(2)];
+const needsXvfb =
+  process.platform === "linux" && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+if (needsXvfb) {
+  if (spawnSync("xvfb-run", ["--help"], { stdio: "ignore" }).error) {
+    console.error("No display available and xvfb-run is not installed (apt-get install xvfb).");
+    process.exit(1);
+  }
+  run("xvfb-run", ["-a", ...PM_EXEC, ...playwright]);
+} else {
+  run(PM_EXEC[0], [...PM_EXEC.slice(1), ...playwright]);
+}
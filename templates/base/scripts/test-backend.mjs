@@ -0,0 +1,26 @@
+import { spawnSync } from "node:child_process";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const TEST = {{backendTest}};
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const isWindows = process.platform === "win32";
+
+if (!TEST) {
+  console.log("The {{backendKey}} backend does not define tests; skipping.");
+  process.exit(0);
+}
+
+const command = (isWindows && TEST.commandWindows) || TEST.command;
+const args = TEST.args || [];
+console.log(`> ${command} ${args.join(" ")}`);
+const result = spawnSync(command, args, {
+  cwd: path.join(root, TEST.cwd || "."),
+  stdio: "inherit",
+  shell: isWindows,
+});
+if (result.error) {
+  console.error(`Failed to run backend tests: ${result.error.message}`);
+  process.exit(1);
+}
+process.exit(result.status ?? 1);
@@ -0,0 +1,32 @@
+import { render, screen } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import App from "./App";
+
+describe("App", () => {
+  afterEach(() => {
+    delete window.api;
+  });
+
+  it("renders outside Electron without window.api", () => {
+    render(<App />);
+    expect(screen.getByRole("heading", { level: 1 })).toHaveTextContent("React + Vite");
+    expect(screen.getByText(/Open this page inside Electron/)).toBeInTheDocument();
+  });
+
+  it("shows app info and backend status from window.api", async () => {
+    window.api = {
+      getAppInfo: vi.fn().mockResolvedValue({
+        name: "{{projectName}}",
+        version: "0.1.0",
+        platform: "linux",
+        electron: "{{electronVersion}}",
+      }),
+      getBackendStatus: vi.fn().mockResolvedValue({ state: "ready", port: 3001 }),
+      on: vi.fn(() => () => {}),
+    } as unknown as NonNullable<Window["api"]>;
+
+    render(<App />);
+    expect(await screen.findByText(/{{projectName}} 0\.1\.0/)).toBeInTheDocument();
+    expect(await screen.findByText("ready on port 3001")).toBeInTheDocument();
+  });
+});
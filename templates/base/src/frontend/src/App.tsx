@@ -0,0 +1,64 @@
+import { useEffect, useState } from "react";
+import type { AppInfo, BackendStatus } from "../../shared/ipc-channels";
+
+export default function App() {
+  const [appInfo, setAppInfo] = useState<AppInfo | null>(null);
+  const [backendStatus, setBackendStatus] = useState<BackendStatus | null>(null);
+
+  useEffect(() => {
+    const api = window.api;
+    if (!api) return;
+    api.getAppInfo().then(setAppInfo);
+    api.getBackendStatus().then(setBackendStatus);
+    return api.on("backendStatus", setBackendStatus);
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      <div className="mx-auto flex min-h-screen max-w-4xl flex-col gap-6 px-6 py-16">
+        <div className="rounded-2xl border bg-card p-8 shadow-sm">
+          <p className="text-sm font-medium uppercase tracking-wide text-muted-foreground">
+            ElectroInit
+          </p>
+          <h1 className="mt-3 text-3xl font-semibold">
+            React + Vite + Tailwind + shadcn/ui
+          </h1>
+          <p className="mt-2 text-base text-muted-foreground">
+            Frontend scaffold is ready. Run the dev script to enable hot reload.
+          </p>
+          <div className="mt-6 flex flex-wrap gap-3">
+            <button className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-primary-foreground">
+              Primary Action
+            </button>
+            <button className="rounded-md border px-4 py-2 text-sm font-medium">
+              Secondary
+            </button>
+          </div>
+        </div>
+        <div className="rounded-2xl border bg-card p-8 text-sm shadow-sm">
+          <h2 className="text-lg font-semibold">Electron IPC</h2>
+          {window.api ? (
+            <dl className="mt-4 grid grid-cols-[auto,1fr] gap-x-6 gap-y-2">
+              <dt className="text-muted-foreground">App</dt>
+              <dd>
+                {appInfo
+                  ? `${appInfo.name} ${appInfo.version} (Electron ${appInfo.electron}, ${appInfo.platform})`
+                  : "Loading..."}
+              </dd>
+              <dt className="text-muted-foreground">Backend</dt>
+              <dd>
+                {backendStatus
+                  ? `${backendStatus.state} on port ${backendStatus.port ?? "-"}`
+                  : "Unknown"}
+              </dd>
+            </dl>
+          ) : (
+            <p className="mt-2 text-muted-foreground">
+              Open this page inside Electron to use window.api.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import type { IpcEventMap, IpcInvokeApi } from "../../../shared/ipc-channels";
+
+export interface ElectronApi extends IpcInvokeApi {
+  ping(): string;
+  backendPort: number | null;
+  backendUrl: string | null;
+  on<K extends keyof IpcEventMap>(
+    name: K,
+    listener: (payload: IpcEventMap[K]) => void
+  ): () => void;
+}
+
+declare global {
+  interface Window {
+    api?: ElectronApi;
+  }
+}
@@ -0,0 +1,28 @@
+import { defineConfig, type Plugin } from "vite";
+import react from "@vitejs/plugin-react";
+import path from "path";
+
+// index.html carries the production CSP. The dev server needs inline scripts
+// and HMR, so there the main process sets a CSP header allowing them instead.
+const dropMetaCspInDev: Plugin = {
+  name: "drop-meta-csp-in-dev",
+  apply: "serve",
+  transformIndexHtml: (html) =>
+    html.replace(/\s*<meta\s+http-equiv="Content-Security-Policy"[^>]*>/, ""),
+};
+
+export default defineConfig({
+  // Relative asset URLs: Electron loads dist/index.html from file:// (app.asar
+  // when packaged), where /assets/... would resolve to the filesystem root.
+  base: "./",
+  plugins: [react(), dropMetaCspInDev],
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "src"),
+    },
+  },
+  server: {
+    port: 5173,
+    strictPort: true,
+  },
+});
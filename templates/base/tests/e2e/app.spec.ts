@@ -0,0 +1,24 @@
+import { test, expect, _electron as electron } from "@playwright/test";
+
+test("main window renders and the preload API answers", async () => {
+  const args = ["."];
+  // Chromium's sandbox refuses to start as root, e.g. in CI containers.
+  if (process.platform === "linux" && process.getuid?.() === 0) args.unshift("--no-sandbox");
+  const app = await electron.launch({ args, env: { ...process.env, ELECTRON_DEV_URL: "" } });
+  try {
+    const window = await app.firstWindow();
+    // A renderer asset that fails to load (e.g. an absolute /assets/ URL under
+    // file://) leaves the window blank; report it instead of timing out on h1.
+    const failed: string[] = [];
+    window.on("requestfailed", (request) => failed.push(request.url()));
+    await window.waitForLoadState("load");
+    expect(failed, "renderer requests that failed").toEqual([]);
+    await expect(window.locator("h1")).toBeVisible();
+    const pong = await window.evaluate(() =>
+      (window as unknown as { api: { ping(): string } }).api.ping()
+    );
+    expect(pong).toBe("pong");
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,188 @@
+const { spawn, spawnSync } = require("child_process");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+
+const BACKEND = {{backendRuntime}};
+const HEALTH_ENDPOINT = "{{backendHealthEndpoint}}";
+const PREFERRED_PORT = {{backendPort}};
+const HEALTH_TIMEOUT_MS = 30000;
+const HEALTH_INTERVAL_MS = 300;
+const MAX_RESTARTS = 5;
+const RESTART_WINDOW_MS = 60000;
+
+function getFreePort(preferred) {
+  const tryListen = (port) =>
+    new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.unref();
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        const { port: bound } = server.address();
+        server.close(() => resolve(bound));
+      });
+    });
+  return tryListen(preferred).catch(() => tryListen(0));
+}
+
+function checkHealth(url) {
+  return new Promise((resolve) => {
+    const req = http.get(url, (res) => {
+      res.resume();
+      resolve(res.statusCode >= 200 && res.statusCode < 300);
+    });
+    req.setTimeout(1000, () => req.destroy());
+    req.on("error", () => resolve(false));
+  });
+}
+
+async function waitForHealth(url, isAlive) {
+  const deadline = Date.now() + HEALTH_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (!isAlive()) throw new Error("Backend exited before it became healthy");
+    if (await checkHealth(url)) return;
+    await new Promise((resolve) => setTimeout(resolve, HEALTH_INTERVAL_MS));
+  }
+  throw new Error(`Backend did not answer ${url} within ${HEALTH_TIMEOUT_MS / 1000}s`);
+}
+
+function killTree(child) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+  if (process.platform === "win32") {
+    spawnSync("taskkill", ["/T", "/F", "/PID", String(child.pid)], { windowsHide: true });
+    return;
+  }
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch (err) {
+    child.kill("SIGTERM");
+  }
+}
+
+function resolveLaunch({ rootDir, packaged, resourcesDir }) {
+  const spec = packaged && BACKEND.packaged ? BACKEND.packaged : BACKEND;
+  const baseDir = packaged && BACKEND.packaged ? path.join(resourcesDir, "backend") : rootDir;
+  const cwd = path.join(baseDir, spec.cwd || ".");
+  const isNode = spec.command === "node";
+  let command;
+  if (spec.executable) {
+    command = path.join(cwd, spec.executable + (process.platform === "win32" ? ".exe" : ""));
+  } else if (isNode) {
+    command = process.execPath;
+  } else {
+    command = (process.platform === "win32" && spec.commandWindows) || spec.command;
+  }
+  return { command, args: spec.args || [], cwd, isNode, shell: !!spec.shell };
+}
+
+// A backend that is already running (scripts/dev.mjs starts its own): only
+// wait for it to become healthy, never spawn or stop it.
+function createExternalBackend(url, onStatus) {
+  const base = url.replace(/\/+$/, "");
+  const port = Number(new URL(base).port) || null;
+  return {
+    port,
+    url: base,
+    async start() {
+      onStatus({ state: "starting", port });
+      await waitForHealth(base + HEALTH_ENDPOINT, () => true);
+      onStatus({ state: "ready", port });
+    },
+    stop() {
+      onStatus({ state: "stopped", port });
+    },
+  };
+}
+
+function createBackend({
+  rootDir,
+  packaged = false,
+  resourcesDir = "",
+  externalUrl = null,
+  onStatus = () => {},
+}) {
+  if (externalUrl) return createExternalBackend(externalUrl, onStatus);
+  const launchSpec = resolveLaunch({ rootDir, packaged, resourcesDir });
+  let child = null;
+  let port = null;
+  let stopping = false;
+  let healthy = false;
+  let restarts = [];
+
+  function launch() {
+    const { command, args, cwd, isNode, shell } = launchSpec;
+    const env = { ...process.env, PORT: String(port) };
+    if (isNode) env.ELECTRON_RUN_AS_NODE = "1";
+
+    child = spawn(command, args, {
+      cwd,
+      env,
+      shell,
+      detached: process.platform !== "win32",
+      windowsHide: true,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    child.stdout.on("data", (chunk) => process.stdout.write(`[backend] ${chunk}`));
+    child.stderr.on("data", (chunk) => process.stderr.write(`[backend] ${chunk}`));
+    child.on("error", (err) => console.error(`[backend] ${err.message}`));
+    child.on("exit", (code, signal) => {
+      child = null;
+      if (stopping || !healthy) return;
+      onStatus({ state: "crashed", port, code, signal });
+      scheduleRestart();
+    });
+  }
+
+  function scheduleRestart() {
+    const now = Date.now();
+    restarts = restarts.filter((time) => now - time < RESTART_WINDOW_MS);
+    if (restarts.length >= MAX_RESTARTS) {
+      console.error(`[backend] crashed ${MAX_RESTARTS} times in a minute, giving up`);
+      onStatus({ state: "failed", port });
+      return;
+    }
+    restarts.push(now);
+    const delay = 500 * restarts.length;
+    console.error(`[backend] restarting in ${delay}ms`);
+    setTimeout(() => {
+      if (stopping) return;
+      launch();
+      waitForHealth(api.url + HEALTH_ENDPOINT, () => child !== null)
+        .then(() => onStatus({ state: "ready", port }))
+        .catch((err) => console.error(`[backend] ${err.message}`));
+    }, delay);
+  }
+
+  const api = {
+    get port() {
+      return port;
+    },
+    get url() {
+      return `http://127.0.0.1:${port}`;
+    },
+    async start() {
+      stopping = false;
+      healthy = false;
+      port = await getFreePort(PREFERRED_PORT);
+      onStatus({ state: "starting", port });
+      launch();
+      try {
+        await waitForHealth(api.url + HEALTH_ENDPOINT, () => child !== null);
+      } catch (err) {
+        killTree(child);
+        throw err;
+      }
+      healthy = true;
+      onStatus({ state: "ready", port });
+    },
+    stop() {
+      stopping = true;
+      killTree(child);
+      child = null;
+      onStatus({ state: "stopped", port });
+    },
+  };
+  return api;
+}
+
+module.exports = { createBackend };
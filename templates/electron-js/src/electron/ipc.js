@@ -0,0 +1,36 @@
+// @ts-check
+const { BrowserWindow, ipcMain } = require("electron");
+const { invokeChannels, eventChannels } = require("../shared/ipc-channels");
+
+const DEFINITIONS_CHANNEL = "ipc:definitions";
+
+/**
+ * @param {import("../shared/ipc-channels").IpcHandlers} handlers
+ */
+function registerIpcHandlers(handlers) {
+  Object.entries(invokeChannels).forEach(([name, channel]) => {
+    const handler = /** @type {(payload: unknown) => unknown} */ (
+      handlers[/** @type {keyof typeof invokeChannels} */ (name)]
+    );
+    if (!handler) throw new Error(`No IPC handler registered for "${name}"`);
+    ipcMain.handle(channel, (_event, payload) => handler(payload));
+  });
+  ipcMain.on(DEFINITIONS_CHANNEL, (event) => {
+    event.returnValue = { invoke: invokeChannels, events: eventChannels };
+  });
+}
+
+/**
+ * @template {keyof import("../shared/ipc-channels").IpcEventMap} K
+ * @param {K} name
+ * @param {import("../shared/ipc-channels").IpcEventMap[K]} payload
+ */
+function broadcast(name, payload) {
+  BrowserWindow.getAllWindows().forEach((win) => {
+    if (!win.webContents.isDestroyed()) {
+      win.webContents.send(eventChannels[name], payload);
+    }
+  });
+}
+
+module.exports = { registerIpcHandlers, broadcast };
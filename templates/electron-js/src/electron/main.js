@@ -0,0 +1,129 @@
+// @ts-check
+const { app, BrowserWindow, session } = require("electron");
+const path = require("path");
+const fs = require("fs");
+const { createBackend } = require("./backend");
+const { registerIpcHandlers, broadcast } = require("./ipc");
+const { applySessionSecurity, hardenWebContents } = require("./security");
+
+const devUrl = process.env.ELECTRON_DEV_URL || null;
+// Set by scripts/dev.mjs, which runs the backend itself during development.
+const externalBackendUrl = app.isPackaged ? null : process.env.ELECTRON_BACKEND_URL || null;
+
+/** @type {import("../shared/ipc-channels").BackendStatus | null} */
+let backendStatus = null;
+const backend = createBackend({
+  rootDir: path.join(__dirname, "..", ".."),
+  packaged: app.isPackaged,
+  resourcesDir: process.resourcesPath,
+  externalUrl: externalBackendUrl,
+  onStatus: (status) => {
+    backendStatus = status;
+    broadcast("backendStatus", status);
+  },
+});
+let backendStart = null;
+
+function ensureBackend() {
+  if (!backendStart) {
+    backendStart = backend.start().catch((err) => {
+      backendStart = null;
+      throw err;
+    });
+  }
+  return backendStart;
+}
+
+function stopBackend() {
+  backendStart = null;
+  backend.stop();
+}
+
+/**
+ * @param {BrowserWindow} win
+ * @param {string} title
+ * @param {string} message
+ */
+function showError(win, title, message) {
+  win.loadURL(
+    "data:text/html," +
+      encodeURIComponent(`<h2>${title}</h2><pre>${message}</pre>`)
+  );
+}
+
+function createWindow() {
+  const win = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    webPreferences: {
+      preload: path.join(__dirname, "preload.js"),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      webviewTag: false,
+      additionalArguments: [`--backend-port=${backend.port || ""}`],
+    },
+  });
+
+  if (devUrl) {
+    win.loadURL(devUrl);
+    return;
+  }
+
+  const distPath = path.join(__dirname, "..", "frontend", "dist", "index.html");
+  if (fs.existsSync(distPath)) {
+    win.loadFile(distPath);
+    return;
+  }
+
+  showError(win, "Frontend not built", "Run frontend build or dev server.");
+}
+
+async function openMainWindow() {
+  try {
+    await ensureBackend();
+  } catch (err) {
+    console.error(`Backend failed to start: ${err.message}`);
+    const win = new BrowserWindow({ width: 800, height: 600 });
+    showError(win, "Backend failed to start", err.message);
+    return;
+  }
+  createWindow();
+}
+
+app.on("web-contents-created", (_event, contents) => {
+  hardenWebContents(contents, devUrl);
+});
+
+app.whenReady().then(() => {
+  applySessionSecurity(session.defaultSession, () => ({
+    devUrl,
+    backendUrl: backend.port ? backend.url : null,
+  }));
+  registerIpcHandlers({
+    getAppInfo: () => ({
+      name: app.getName(),
+      version: app.getVersion(),
+      platform: process.platform,
+      electron: process.versions.electron,
+    }),
+    echo: (message) => message,
+    getBackendStatus: () => backendStatus,
+  });
+  openMainWindow();
+
+  app.on("activate", () => {
+    if (BrowserWindow.getAllWindows().length === 0) openMainWindow();
+  });
+});
+
+app.on("window-all-closed", () => {
+  stopBackend();
+  if (process.platform !== "darwin") app.quit();
+});
+
+app.on("before-quit", () => {
+  stopBackend();
+});
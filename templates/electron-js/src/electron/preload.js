@@ -0,0 +1,24 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+const portArg = process.argv.find((arg) => arg.startsWith("--backend-port="));
+const backendPort = portArg ? Number(portArg.split("=")[1]) || null : null;
+const definitions = ipcRenderer.sendSync("ipc:definitions");
+
+const api = {
+  ping: () => "pong",
+  backendPort,
+  backendUrl: backendPort ? `http://127.0.0.1:${backendPort}` : null,
+  on(name, listener) {
+    const channel = definitions.events[name];
+    if (!channel) throw new Error(`Unknown IPC event "${name}"`);
+    const wrapped = (_event, payload) => listener(payload);
+    ipcRenderer.on(channel, wrapped);
+    return () => ipcRenderer.removeListener(channel, wrapped);
+  },
+};
+
+Object.entries(definitions.invoke).forEach(([name, channel]) => {
+  api[name] = (payload) => ipcRenderer.invoke(channel, payload);
+});
+
+contextBridge.exposeInMainWorld("api", api);
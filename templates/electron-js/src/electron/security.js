@@ -0,0 +1,90 @@
+// @ts-check
+const { shell } = require("electron");
+
+// Origins that links may open in the user's default browser. Everything else is denied.
+const EXTERNAL_ALLOWLIST = new Set([]);
+
+/**
+ * @param {{ devUrl?: string | null, backendUrl?: string | null }} options
+ */
+function buildCsp({ devUrl, backendUrl }) {
+  const script = ["'self'"];
+  const connect = ["'self'"];
+  if (backendUrl) connect.push(backendUrl);
+  if (devUrl) {
+    const origin = new URL(devUrl).origin;
+    script.push("'unsafe-inline'", origin);
+    connect.push(origin, origin.replace(/^http/, "ws"));
+  }
+  return [
+    "default-src 'self'",
+    `script-src ${script.join(" ")}`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "font-src 'self' data:",
+    `connect-src ${connect.join(" ")}`,
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'none'",
+    "frame-ancestors 'none'",
+  ].join("; ");
+}
+
+/**
+ * @param {Electron.Session} ses
+ * @param {() => { devUrl?: string | null, backendUrl?: string | null }} getOrigins
+ */
+function applySessionSecurity(ses, getOrigins) {
+  ses.webRequest.onHeadersReceived((details, callback) => {
+    callback({
+      responseHeaders: {
+        ...details.responseHeaders,
+        "Content-Security-Policy": [buildCsp(getOrigins())],
+      },
+    });
+  });
+  ses.setPermissionRequestHandler((_webContents, _permission, callback) => callback(false));
+  ses.setPermissionCheckHandler(() => false);
+}
+
+/**
+ * @param {string} url
+ * @param {string | null | undefined} devUrl
+ */
+function isAppUrl(url, devUrl) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === "file:") return !devUrl;
+    return !!devUrl && parsed.origin === new URL(devUrl).origin;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** @param {string} url */
+function openExternalIfAllowed(url) {
+  try {
+    if (EXTERNAL_ALLOWLIST.has(new URL(url).origin)) shell.openExternal(url);
+  } catch (err) {
+    // Ignore malformed URLs.
+  }
+}
+
+/**
+ * @param {Electron.WebContents} contents
+ * @param {string | null | undefined} devUrl
+ */
+function hardenWebContents(contents, devUrl) {
+  contents.setWindowOpenHandler(({ url }) => {
+    openExternalIfAllowed(url);
+    return { action: "deny" };
+  });
+  contents.on("will-navigate", (event, url) => {
+    if (isAppUrl(url, devUrl)) return;
+    event.preventDefault();
+    openExternalIfAllowed(url);
+  });
+  contents.on("will-attach-webview", (event) => event.preventDefault());
+}
+
+module.exports = { applySessionSecurity, hardenWebContents };
@@ -0,0 +1,11 @@
+const invokeChannels = {
+  getAppInfo: "app:get-info",
+  echo: "app:echo",
+  getBackendStatus: "backend:get-status",
+};
+
+const eventChannels = {
+  backendStatus: "backend:status",
+};
+
+module.exports = { invokeChannels, eventChannels };
@@ -0,0 +1,83 @@
+import { spawn } from "node:child_process";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as esbuild from "esbuild";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const watch = process.argv.includes("--watch");
+const runElectron = process.argv.includes("--electron");
+
+let electron = null;
+let restarting = false;
+
+function startElectron() {
+  const require = createRequire(import.meta.url);
+  const electronPath = require("electron");
+  electron = spawn(electronPath, ["."], { cwd: root, stdio: "inherit" });
+  electron.on("exit", (code) => {
+    electron = null;
+    if (restarting) {
+      restarting = false;
+      startElectron();
+      return;
+    }
+    // Electron was closed by the user: stop watching as well.
+    process.exit(code ?? 0);
+  });
+}
+
+function restartElectron() {
+  if (!electron) {
+    startElectron();
+    return;
+  }
+  restarting = true;
+  electron.kill("SIGTERM");
+}
+
+const electronRestartPlugin = {
+  name: "electron-restart",
+  setup(build) {
+    build.onEnd((result) => {
+      if (result.errors.length > 0) {
+        console.error("[electron] build failed, keeping the previous main process");
+        return;
+      }
+      console.log("[electron] main/preload rebuilt");
+      if (runElectron) restartElectron();
+    });
+  },
+};
+
+const buildOptions = {
+  absWorkingDir: root,
+  entryPoints: {
+    main: "src/electron/main.ts",
+    preload: "src/electron/preload.ts",
+  },
+  outdir: "dist-electron",
+  bundle: true,
+  platform: "node",
+  format: "cjs",
+  target: "node18",
+  external: ["electron"],
+  sourcemap: watch ? "inline" : false,
+  logLevel: "warning",
+  plugins: watch ? [electronRestartPlugin] : [],
+};
+
+if (watch) {
+  const context = await esbuild.context(buildOptions);
+  await context.watch();
+  const shutdown = () => {
+    restarting = false;
+    if (electron) electron.kill("SIGTERM");
+    context.dispose().then(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+} else {
+  await esbuild.build(buildOptions);
+  console.log("Electron main/preload bundled into dist-electron");
+}
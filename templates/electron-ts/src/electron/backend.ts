@@ -0,0 +1,200 @@
+import { spawn, spawnSync, type ChildProcess } from "child_process";
+import http from "http";
+import net from "net";
+import path from "path";
+import type { BackendStatus } from "../shared/ipc-channels";
+
+interface LaunchSpec {
+  command?: string;
+  commandWindows?: string;
+  executable?: string;
+  args?: string[];
+  cwd?: string;
+  shell?: boolean;
+}
+
+const BACKEND: LaunchSpec & { packaged?: LaunchSpec | null } = {{backendRuntime}};
+const HEALTH_ENDPOINT = "{{backendHealthEndpoint}}";
+const PREFERRED_PORT = {{backendPort}};
+const HEALTH_TIMEOUT_MS = 30000;
+const HEALTH_INTERVAL_MS = 300;
+const MAX_RESTARTS = 5;
+const RESTART_WINDOW_MS = 60000;
+
+export interface BackendOptions {
+  rootDir: string;
+  packaged?: boolean;
+  resourcesDir?: string;
+  /** URL of a backend that is already running; it is not spawned or stopped. */
+  externalUrl?: string | null;
+  onStatus?: (status: BackendStatus) => void;
+}
+
+function getFreePort(preferred: number): Promise<number> {
+  const tryListen = (port: number) =>
+    new Promise<number>((resolve, reject) => {
+      const server = net.createServer();
+      server.unref();
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        const { port: bound } = server.address() as net.AddressInfo;
+        server.close(() => resolve(bound));
+      });
+    });
+  return tryListen(preferred).catch(() => tryListen(0));
+}
+
+function checkHealth(url: string): Promise<boolean> {
+  return new Promise((resolve) => {
+    const req = http.get(url, (res) => {
+      res.resume();
+      resolve(!!res.statusCode && res.statusCode >= 200 && res.statusCode < 300);
+    });
+    req.setTimeout(1000, () => req.destroy());
+    req.on("error", () => resolve(false));
+  });
+}
+
+async function waitForHealth(url: string, isAlive: () => boolean): Promise<void> {
+  const deadline = Date.now() + HEALTH_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (!isAlive()) throw new Error("Backend exited before it became healthy");
+    if (await checkHealth(url)) return;
+    await new Promise((resolve) => setTimeout(resolve, HEALTH_INTERVAL_MS));
+  }
+  throw new Error(`Backend did not answer ${url} within ${HEALTH_TIMEOUT_MS / 1000}s`);
+}
+
+function killTree(child: ChildProcess | null): void {
+  if (!child || !child.pid || child.exitCode !== null || child.signalCode !== null) return;
+  if (process.platform === "win32") {
+    spawnSync("taskkill", ["/T", "/F", "/PID", String(child.pid)], { windowsHide: true });
+    return;
+  }
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch {
+    child.kill("SIGTERM");
+  }
+}
+
+function resolveLaunch({ rootDir, packaged, resourcesDir }: BackendOptions) {
+  const usePackaged = !!packaged && !!BACKEND.packaged;
+  const spec = usePackaged ? (BACKEND.packaged as LaunchSpec) : BACKEND;
+  const baseDir = usePackaged ? path.join(resourcesDir || "", "backend") : rootDir;
+  const cwd = path.join(baseDir, spec.cwd || ".");
+  const isNode = spec.command === "node";
+  let command: string;
+  if (spec.executable) {
+    command = path.join(cwd, spec.executable + (process.platform === "win32" ? ".exe" : ""));
+  } else if (isNode) {
+    command = process.execPath;
+  } else {
+    command = (process.platform === "win32" && spec.commandWindows) || spec.command || "";
+  }
+  return { command, args: spec.args || [], cwd, isNode, shell: !!spec.shell };
+}
+
+function createExternalBackend(url: string, onStatus: (status: BackendStatus) => void) {
+  const base = url.replace(/\/+$/, "");
+  const port = Number(new URL(base).port) || null;
+  return {
+    port,
+    url: base,
+    async start(): Promise<void> {
+      onStatus({ state: "starting", port });
+      await waitForHealth(base + HEALTH_ENDPOINT, () => true);
+      onStatus({ state: "ready", port });
+    },
+    stop(): void {
+      onStatus({ state: "stopped", port });
+    },
+  };
+}
+
+export function createBackend(options: BackendOptions) {
+  const onStatus = options.onStatus || (() => {});
+  if (options.externalUrl) return createExternalBackend(options.externalUrl, onStatus);
+  const launchSpec = resolveLaunch(options);
+  let child: ChildProcess | null = null;
+  let port: number | null = null;
+  let stopping = false;
+  let healthy = false;
+  let restarts: number[] = [];
+
+  function launch(): void {
+    const { command, args, cwd, isNode, shell } = launchSpec;
+    const env: NodeJS.ProcessEnv = { ...process.env, PORT: String(port) };
+    if (isNode) env.ELECTRON_RUN_AS_NODE = "1";
+
+    const proc = spawn(command, args, {
+      cwd,
+      env,
+      shell,
+      detached: process.platform !== "win32",
+      windowsHide: true,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    child = proc;
+    proc.stdout?.on("data", (chunk) => process.stdout.write(`[backend] ${chunk}`));
+    proc.stderr?.on("data", (chunk) => process.stderr.write(`[backend] ${chunk}`));
+    proc.on("error", (err) => console.error(`[backend] ${err.message}`));
+    proc.on("exit", (code, signal) => {
+      child = null;
+      if (stopping || !healthy) return;
+      onStatus({ state: "crashed", port, code, signal });
+      scheduleRestart();
+    });
+  }
+
+  function scheduleRestart(): void {
+    const now = Date.now();
+    restarts = restarts.filter((time) => now - time < RESTART_WINDOW_MS);
+    if (restarts.length >= MAX_RESTARTS) {
+      console.error(`[backend] crashed ${MAX_RESTARTS} times in a minute, giving up`);
+      onStatus({ state: "failed", port });
+      return;
+    }
+    restarts.push(now);
+    const delay = 500 * restarts.length;
+    console.error(`[backend] restarting in ${delay}ms`);
+    setTimeout(() => {
+      if (stopping) return;
+      launch();
+      waitForHealth(api.url + HEALTH_ENDPOINT, () => child !== null)
+        .then(() => onStatus({ state: "ready", port }))
+        .catch((err: Error) => console.error(`[backend] ${err.message}`));
+    }, delay);
+  }
+
+  const api = {
+    get port(): number | null {
+      return port;
+    },
+    get url(): string {
+      return `http://127.0.0.1:${port}`;
+    },
+    async start(): Promise<void> {
+      stopping = false;
+      healthy = false;
+      port = await getFreePort(PREFERRED_PORT);
+      onStatus({ state: "starting", port });
+      launch();
+      try {
+        await waitForHealth(api.url + HEALTH_ENDPOINT, () => child !== null);
+      } catch (err) {
+        killTree(child);
+        throw err;
+      }
+      healthy = true;
+      onStatus({ state: "ready", port });
+    },
+    stop(): void {
+      stopping = true;
+      killTree(child);
+      child = null;
+      onStatus({ state: "stopped", port });
+    },
+  };
+  return api;
+}
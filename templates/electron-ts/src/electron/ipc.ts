@@ -0,0 +1,23 @@
+import { BrowserWindow, ipcMain } from "electron";
+import {
+  eventChannels,
+  invokeChannels,
+  type IpcEventMap,
+  type IpcHandlers,
+} from "../shared/ipc-channels";
+
+export function registerIpcHandlers(handlers: IpcHandlers): void {
+  (Object.keys(invokeChannels) as (keyof IpcHandlers)[]).forEach((name) => {
+    const handler = handlers[name] as (payload: unknown) => unknown;
+    if (!handler) throw new Error(`No IPC handler registered for "${name}"`);
+    ipcMain.handle(invokeChannels[name], (_event, payload) => handler(payload));
+  });
+}
+
+export function broadcast<K extends keyof IpcEventMap>(name: K, payload: IpcEventMap[K]): void {
+  BrowserWindow.getAllWindows().forEach((win) => {
+    if (!win.webContents.isDestroyed()) {
+      win.webContents.send(eventChannels[name], payload);
+    }
+  });
+}
@@ -0,0 +1,126 @@
+import { app, BrowserWindow, session } from "electron";
+import path from "path";
+import fs from "fs";
+import { createBackend } from "./backend";
+import { registerIpcHandlers, broadcast } from "./ipc";
+import { applySessionSecurity, hardenWebContents } from "./security";
+import type { BackendStatus } from "../shared/ipc-channels";
+
+// Bundled to dist-electron/main.js, so __dirname is <project>/dist-electron.
+const rootDir = path.join(__dirname, "..");
+const devUrl = process.env.ELECTRON_DEV_URL || null;
+// Set by scripts/dev.mjs, which runs the backend itself during development.
+const externalBackendUrl = app.isPackaged ? null : process.env.ELECTRON_BACKEND_URL || null;
+
+let backendStatus: BackendStatus | null = null;
+const backend = createBackend({
+  rootDir,
+  packaged: app.isPackaged,
+  resourcesDir: process.resourcesPath,
+  externalUrl: externalBackendUrl,
+  onStatus: (status) => {
+    backendStatus = status;
+    broadcast("backendStatus", status);
+  },
+});
+let backendStart: Promise<void> | null = null;
+
+function ensureBackend(): Promise<void> {
+  if (!backendStart) {
+    backendStart = backend.start().catch((err) => {
+      backendStart = null;
+      throw err;
+    });
+  }
+  return backendStart;
+}
+
+function stopBackend(): void {
+  backendStart = null;
+  backend.stop();
+}
+
+function showError(win: BrowserWindow, title: string, message: string): void {
+  win.loadURL(
+    "data:text/html," +
+      encodeURIComponent(`<h2>${title}</h2><pre>${message}</pre>`)
+  );
+}
+
+function createWindow(): void {
+  const win = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    webPreferences: {
+      preload: path.join(__dirname, "preload.js"),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+      webSecurity: true,
+      allowRunningInsecureContent: false,
+      webviewTag: false,
+      additionalArguments: [`--backend-port=${backend.port || ""}`],
+    },
+  });
+
+  if (devUrl) {
+    win.loadURL(devUrl);
+    return;
+  }
+
+  const distPath = path.join(rootDir, "src", "frontend", "dist", "index.html");
+  if (fs.existsSync(distPath)) {
+    win.loadFile(distPath);
+    return;
+  }
+
+  showError(win, "Frontend not built", "Run frontend build or dev server.");
+}
+
+async function openMainWindow(): Promise<void> {
+  try {
+    await ensureBackend();
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    console.error(`Backend failed to start: ${message}`);
+    const win = new BrowserWindow({ width: 800, height: 600 });
+    showError(win, "Backend failed to start", message);
+    return;
+  }
+  createWindow();
+}
+
+app.on("web-contents-created", (_event, contents) => {
+  hardenWebContents(contents, devUrl);
+});
+
+app.whenReady().then(() => {
+  applySessionSecurity(session.defaultSession, () => ({
+    devUrl,
+    backendUrl: backend.port ? backend.url : null,
+  }));
+  registerIpcHandlers({
+    getAppInfo: () => ({
+      name: app.getName(),
+      version: app.getVersion(),
+      platform: process.platform,
+      electron: process.versions.electron,
+    }),
+    echo: (message) => message,
+    getBackendStatus: () => backendStatus,
+  });
+  openMainWindow();
+
+  app.on("activate", () => {
+    if (BrowserWindow.getAllWindows().length === 0) openMainWindow();
+  });
+});
+
+app.on("window-all-closed", () => {
+  stopBackend();
+  if (process.platform !== "darwin") app.quit();
+});
+
+app.on("before-quit", () => {
+  stopBackend();
+});
@@ -0,0 +1,34 @@
+import { contextBridge, ipcRenderer, type IpcRendererEvent } from "electron";
+import {
+  eventChannels,
+  invokeChannels,
+  type IpcEventMap,
+  type IpcInvokeApi,
+} from "../shared/ipc-channels";
+
+const portArg = process.argv.find((arg) => arg.startsWith("--backend-port="));
+const backendPort = portArg ? Number(portArg.split("=")[1]) || null : null;
+
+const invokeApi = Object.fromEntries(
+  Object.entries(invokeChannels).map(([name, channel]) => [
+    name,
+    (payload?: unknown) => ipcRenderer.invoke(channel, payload),
+  ])
+) as IpcInvokeApi;
+
+const api = {
+  ...invokeApi,
+  ping: () => "pong",
+  backendPort,
+  backendUrl: backendPort ? `http://127.0.0.1:${backendPort}` : null,
+  on<K extends keyof IpcEventMap>(name: K, listener: (payload: IpcEventMap[K]) => void) {
+    const channel = eventChannels[name];
+    const wrapped = (_event: IpcRendererEvent, payload: IpcEventMap[K]) => listener(payload);
+    ipcRenderer.on(channel, wrapped);
+    return () => {
+      ipcRenderer.removeListener(channel, wrapped);
+    };
+  },
+};
+
+contextBridge.exposeInMainWorld("api", api);
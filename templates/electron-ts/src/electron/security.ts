@@ -0,0 +1,76 @@
+import { shell, type Session, type WebContents } from "electron";
+
+// Origins that links may open in the user's default browser. Everything else is denied.
+const EXTERNAL_ALLOWLIST = new Set<string>([]);
+
+interface CspOrigins {
+  devUrl?: string | null;
+  backendUrl?: string | null;
+}
+
+function buildCsp({ devUrl, backendUrl }: CspOrigins): string {
+  const script = ["'self'"];
+  const connect = ["'self'"];
+  if (backendUrl) connect.push(backendUrl);
+  if (devUrl) {
+    const origin = new URL(devUrl).origin;
+    script.push("'unsafe-inline'", origin);
+    connect.push(origin, origin.replace(/^http/, "ws"));
+  }
+  return [
+    "default-src 'self'",
+    `script-src ${script.join(" ")}`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "font-src 'self' data:",
+    `connect-src ${connect.join(" ")}`,
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'none'",
+    "frame-ancestors 'none'",
+  ].join("; ");
+}
+
+export function applySessionSecurity(ses: Session, getOrigins: () => CspOrigins): void {
+  ses.webRequest.onHeadersReceived((details, callback) => {
+    callback({
+      responseHeaders: {
+        ...details.responseHeaders,
+        "Content-Security-Policy": [buildCsp(getOrigins())],
+      },
+    });
+  });
+  ses.setPermissionRequestHandler((_webContents, _permission, callback) => callback(false));
+  ses.setPermissionCheckHandler(() => false);
+}
+
+function isAppUrl(url: string, devUrl: string | null): boolean {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === "file:") return !devUrl;
+    return !!devUrl && parsed.origin === new URL(devUrl).origin;
+  } catch {
+    return false;
+  }
+}
+
+function openExternalIfAllowed(url: string): void {
+  try {
+    if (EXTERNAL_ALLOWLIST.has(new URL(url).origin)) shell.openExternal(url);
+  } catch {
+    // Ignore malformed URLs.
+  }
+}
+
+export function hardenWebContents(contents: WebContents, devUrl: string | null): void {
+  contents.setWindowOpenHandler(({ url }) => {
+    openExternalIfAllowed(url);
+    return { action: "deny" };
+  });
+  contents.on("will-navigate", (event, url) => {
+    if (isAppUrl(url, devUrl)) return;
+    event.preventDefault();
+    openExternalIfAllowed(url);
+  });
+  contents.on("will-attach-webview", (event) => event.preventDefault());
+}
@@ -0,0 +1,45 @@
+export interface AppInfo {
+  name: string;
+  version: string;
+  platform: string;
+  electron: string;
+}
+
+export interface BackendStatus {
+  state: "starting" | "ready" | "crashed" | "failed" | "stopped";
+  port: number | null;
+  code?: number | null;
+  signal?: string | null;
+}
+
+export interface IpcInvokeMap {
+  getAppInfo: { request: void; response: AppInfo };
+  echo: { request: string; response: string };
+  getBackendStatus: { request: void; response: BackendStatus | null };
+}
+
+export interface IpcEventMap {
+  backendStatus: BackendStatus;
+}
+
+export type IpcHandlers = {
+  [K in keyof IpcInvokeMap]: (
+    payload: IpcInvokeMap[K]["request"]
+  ) => IpcInvokeMap[K]["response"] | Promise<IpcInvokeMap[K]["response"]>;
+};
+
+export type IpcInvokeApi = {
+  [K in keyof IpcInvokeMap]: [IpcInvokeMap[K]["request"]] extends [void]
+    ? () => Promise<IpcInvokeMap[K]["response"]>
+    : (payload: IpcInvokeMap[K]["request"]) => Promise<IpcInvokeMap[K]["response"]>;
+};
+
+export const invokeChannels = {
+  getAppInfo: "app:get-info",
+  echo: "app:echo",
+  getBackendStatus: "backend:get-status",
+} as const satisfies { [K in keyof IpcInvokeMap]: string };
+
+export const eventChannels = {
+  backendStatus: "backend:status",
+} as const satisfies { [K in keyof IpcEventMap]: string };
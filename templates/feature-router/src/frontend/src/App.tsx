@@ -0,0 +1,30 @@
+import { NavLink, Outlet } from "react-router-dom";
+
+const links = [
+  { to: "/", label: "Home" },
+  { to: "/about", label: "About" },
+];
+
+export default function App() {
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      <header className="border-b">
+        <nav className="mx-auto flex max-w-4xl gap-4 px-6 py-3 text-sm font-medium">
+          {links.map((link) => (
+            <NavLink
+              key={link.to}
+              to={link.to}
+              end
+              className={({ isActive }) => (isActive ? "text-foreground" : "text-muted-foreground")}
+            >
+              {link.label}
+            </NavLink>
+          ))}
+        </nav>
+      </header>
+      <main>
+        <Outlet />
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+export default function About() {
+  return (
+    <div className="mx-auto max-w-4xl px-6 py-16">
+      <div className="rounded-2xl border bg-card p-8 shadow-sm">
+        <h1 className="text-2xl font-semibold">About {{projectName}}</h1>
+        <p className="mt-2 text-muted-foreground">
+          Add pages under src/pages and register them in src/router.tsx.
+        </p>
+      </div>
+    </div>
+  );
+}
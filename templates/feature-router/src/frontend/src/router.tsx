@@ -0,0 +1,16 @@
+import { createHashRouter } from "react-router-dom";
+import App from "./App";
+import Home from "./pages/Home";
+import About from "./pages/About";
+
+// Hash routing keeps deep links working when the app is loaded from file://.
+export const router = createHashRouter([
+  {
+    path: "/",
+    element: <App />,
+    children: [
+      { index: true, element: <Home /> },
+      { path: "about", element: <About /> },
+    ],
+  },
+]);
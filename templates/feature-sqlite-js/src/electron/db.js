@@ -0,0 +1,42 @@
+// @ts-check
+const { app } = require("electron");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Each entry runs once, in order; user_version records how many have run.
+const MIGRATIONS = [
+  `CREATE TABLE notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+];
+
+/** @type {import("better-sqlite3").Database | null} */
+let db = null;
+
+function openDatabase() {
+  if (db) return db;
+  const conn = new Database(path.join(app.getPath("userData"), "{{projectName}}.db"));
+  conn.pragma("journal_mode = WAL");
+  const version = /** @type {number} */ (conn.pragma("user_version", { simple: true }));
+  MIGRATIONS.slice(version).forEach((sql, i) => {
+    conn.exec(sql);
+    conn.pragma(`user_version = ${version + i + 1}`);
+  });
+  db = conn;
+  return conn;
+}
+
+function getDatabase() {
+  if (!db) throw new Error("Database is not open; call openDatabase() first");
+  return db;
+}
+
+function closeDatabase() {
+  if (!db) return;
+  db.close();
+  db = null;
+}
+
+module.exports = { openDatabase, getDatabase, closeDatabase };
@@ -0,0 +1,38 @@
+import { app } from "electron";
+import path from "path";
+import Database from "better-sqlite3";
+
+// Each entry runs once, in order; user_version records how many have run.
+const MIGRATIONS = [
+  `CREATE TABLE notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`,
+];
+
+let db: Database.Database | null = null;
+
+export function openDatabase(): Database.Database {
+  if (db) return db;
+  const conn = new Database(path.join(app.getPath("userData"), "{{projectName}}.db"));
+  conn.pragma("journal_mode = WAL");
+  const version = conn.pragma("user_version", { simple: true }) as number;
+  MIGRATIONS.slice(version).forEach((sql, i) => {
+    conn.exec(sql);
+    conn.pragma(`user_version = ${version + i + 1}`);
+  });
+  db = conn;
+  return conn;
+}
+
+export function getDatabase(): Database.Database {
+  if (!db) throw new Error("Database is not open; call openDatabase() first");
+  return db;
+}
+
+export function closeDatabase(): void {
+  if (!db) return;
+  db.close();
+  db = null;
+}
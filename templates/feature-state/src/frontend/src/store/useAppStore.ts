@@ -0,0 +1,21 @@
+import { create } from "zustand";
+import type { BackendStatus } from "../../../shared/ipc-channels";
+
+interface AppState {
+  count: number;
+  backendStatus: BackendStatus | null;
+  increment: () => void;
+  reset: () => void;
+  setBackendStatus: (status: BackendStatus | null) => void;
+}
+
+export const useAppStore = create<AppState>()((set) => ({
+  count: 0,
+  backendStatus: null,
+  increment: () => set((state) => ({ count: state.count + 1 })),
+  reset: () => set({ count: 0 }),
+  setBackendStatus: (backendStatus) => set({ backendStatus }),
+}));
+
+// Keep the store in sync with the backend supervisor in the main process.
+window.api?.on("backendStatus", (status) => useAppStore.getState().setBackendStatus(status));
@@ -0,0 +1,36 @@
+import { app, BrowserWindow, Menu, Tray, nativeImage } from "electron";
+
+// 16x16 placeholder icon; replace with a file from your build resources.
+const ICON_DATA_URL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAAAN0lEQVR42mNgoAXQqLjzHxumSDNRhhDSjNcQYjVjNYRUzRiGjBpABQMojkaqJCSqJGWqZCZSAQBOsYMEhHl8agAAAABJRU5ErkJggg==";
+
+let tray: Tray | null = null;
+
+export function createTray(openMainWindow: () => void): Tray {
+  if (tray) return tray;
+  const showWindow = () => {
+    const [win] = BrowserWindow.getAllWindows();
+    if (!win) {
+      openMainWindow();
+      return;
+    }
+    if (win.isMinimized()) win.restore();
+    win.show();
+    win.focus();
+  };
+  tray = new Tray(nativeImage.createFromDataURL(ICON_DATA_URL));
+  tray.setToolTip("{{projectName}}");
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      { label: "Show {{projectName}}", click: showWindow },
+      { type: "separator" },
+      { label: "Quit", click: () => app.quit() },
+    ])
+  );
+  tray.on("click", showWindow);
+  return tray;
+}
+
+export function hasTray(): boolean {
+  return tray !== null;
+}
@@ -0,0 +1,6 @@
+#!/usr/bin/env bash
+set -euo pipefail
+root="$(cd "$(dirname "$0")/.." && pwd)"
+cd "$root"
+echo "Building frontend, backend and unpacked app..."
+{{pmRun}} electron:pack
@@ -0,0 +1,4 @@
+#!/usr/bin/env bash
+set -euo pipefail
+echo "Starting Electron..."
+{{pmRun}} start
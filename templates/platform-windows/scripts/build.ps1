@@ -0,0 +1,4 @@
+$ErrorActionPreference = "Stop"
+Set-Location (Resolve-Path "$PSScriptRoot\..")
+Write-Host "Building frontend, backend and unpacked app..."
+{{pmRun}} electron:pack
@@ -0,0 +1,3 @@
+$ErrorActionPreference = "Stop"
+Write-Host "Starting Electron..."
+{{pmRun}} start
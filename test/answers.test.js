@@ -0,0 +1,30 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadAnswers, CliError } = require("../init.js");
+
+function answersFile(t, answers) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "electroinit-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "answers.json");
+  fs.writeFileSync(file, JSON.stringify(answers));
+  return file;
+}
+
+test("electronMajor accepts a number or a string", (t) => {
+  assert.deepEqual(loadAnswers(answersFile(t, { electronMajor: 31 })), { electronMajor: "31" });
+  assert.deepEqual(loadAnswers(answersFile(t, { electronMajor: "31" })), { electronMajor: "31" });
+});
+
+test("rejects values of the wrong type", (t) => {
+  assert.throws(
+    () => loadAnswers(answersFile(t, { electronMajor: true })),
+    (err) => err instanceof CliError && /"electronMajor" must be a string or number/.test(err.message)
+  );
+  assert.throws(() => loadAnswers(answersFile(t, { target: 31 })), CliError);
+});
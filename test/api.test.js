@@ -0,0 +1,58 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { scaffold, BUILTIN_BACKENDS } = require("../init.js");
+
+const CLIENT = "src/frontend/src/lib/api.ts";
+
+function generate(backend) {
+  return scaffold({
+    cwd: path.join(__dirname, "fixtures"),
+    target: "api-app",
+    electronVersion: "31.2.1",
+    platform: "unix",
+    backend,
+  });
+}
+
+const operations = (spec) =>
+  Object.entries(spec.paths).flatMap(([route, item]) =>
+    Object.entries(item).map(([method, op]) => `${method.toUpperCase()} ${route} ${op.operationId}`)
+  );
+
+BUILTIN_BACKENDS.forEach((backend) => {
+  test(`${backend.key}: the shipped client is what gen:api produces from its spec`, (t) => {
+    const { files } = generate(backend.key);
+    const pkg = JSON.parse(files.get("package.json").content);
+    assert.equal(pkg.scripts["gen:api"], "node scripts/gen-api.mjs");
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "electroinit-test-"));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    ["scripts/gen-api.mjs", backend.api.spec, CLIENT].forEach((rel) => {
+      fs.mkdirSync(path.join(root, path.dirname(rel)), { recursive: true });
+      fs.writeFileSync(path.join(root, rel), files.get(rel).content);
+    });
+
+    const result = spawnSync(process.execPath, ["scripts/gen-api.mjs", "--skip-export"], {
+      cwd: root,
+      encoding: "utf8",
+    });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /api\.ts is up to date/);
+  });
+});
+
+test("all built-in backends describe the same operations", () => {
+  const [first, ...rest] = BUILTIN_BACKENDS.map((backend) => {
+    const spec = JSON.parse(generate(backend.key).files.get(backend.api.spec).content);
+    return operations(spec);
+  });
+  assert.ok(first.includes("GET /api/health getHealth"));
+  rest.forEach((ops) => assert.deepEqual(ops, first));
+});
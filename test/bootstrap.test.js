@@ -0,0 +1,106 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { scaffold, checkToolchain, CliError } = require("../init.js");
+
+const base = {
+  cwd: path.join(__dirname, "fixtures"),
+  target: "bootstrap-app",
+  electronVersion: "31.2.1",
+  platform: "unix",
+};
+
+function quietly(fn) {
+  const original = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = original;
+  }
+}
+
+const commands = (plan) => plan.map((step) => [step.command, ...step.args].join(" "));
+
+test("python-fastapi checks Python, then creates the venv and installs in place", () => {
+  const { bootstrapPlan } = scaffold({ ...base, backend: "python-fastapi" });
+  assert.deepEqual(commands(bootstrapPlan), [
+    "python3 --version",
+    "python3 -m venv .venv",
+    ".venv/bin/python -m pip install -r requirements-dev.txt",
+  ]);
+  assert.deepEqual(bootstrapPlan.map((step) => step.inPlace), [false, true, true]);
+  assert.equal(bootstrapPlan[0].minVersion, "3.8");
+  assert.equal(bootstrapPlan[2].cwd, path.join(base.cwd, "bootstrap-app", "src", "backend"));
+});
+
+test("pip index, proxy and CA are written into the venv's pip.conf", () => {
+  const cafile = path.join(__dirname, "fixtures", "releases.json");
+  const { bootstrapPlan } = scaffold({
+    ...base,
+    backend: "python-fastapi",
+    platform: "windows",
+    pipIndexUrl: "https://pypi.corp.example/simple",
+    proxy: "http://proxy.corp.example:3128",
+    noproxy: "localhost",
+    cafile,
+  });
+  assert.deepEqual(commands(bootstrapPlan).slice(2, 5), [
+    ".venv\\Scripts\\python.exe -m pip config --site set global.index-url https://pypi.corp.example/simple",
+    ".venv\\Scripts\\python.exe -m pip config --site set global.proxy http://proxy.corp.example:3128",
+    `.venv\\Scripts\\python.exe -m pip config --site set global.cert ${cafile}`,
+  ]);
+  assert.deepEqual(bootstrapPlan[5].env, { NO_PROXY: "localhost" });
+});
+
+test("golang-gin runs go mod tidy with GOPROXY from --goproxy, --mirror or --offline", () => {
+  const plain = scaffold({ ...base, backend: "golang-gin" });
+  assert.deepEqual(commands(plain.bootstrapPlan), ["go version", "go mod tidy"]);
+  assert.deepEqual(plain.bootstrapPlan[1].env, {});
+  assert.ok(plain.bootstrapPlan.every((step) => !step.inPlace));
+
+  const mirror = scaffold({ ...base, backend: "golang-gin", mirror: true });
+  assert.equal(mirror.bootstrapPlan[1].env.GOPROXY, "https://goproxy.cn,direct");
+  const custom = scaffold({
+    ...base,
+    backend: "golang-gin",
+    mirror: true,
+    goproxy: "https://goproxy.corp.example|direct",
+  });
+  assert.equal(custom.bootstrapPlan[1].env.GOPROXY, "https://goproxy.corp.example|direct");
+  const offline = scaffold({
+    ...base,
+    backend: "golang-gin",
+    goproxy: "https://goproxy.corp.example",
+    offline: true,
+  });
+  assert.equal(offline.bootstrapPlan[1].env.GOPROXY, "off");
+});
+
+test("rejects a --goproxy or --pip-index-url that is not a URL list", () => {
+  assert.throws(
+    () => scaffold({ ...base, backend: "golang-gin", goproxy: "goproxy.cn,direct" }),
+    CliError
+  );
+  assert.throws(
+    () => scaffold({ ...base, backend: "python-fastapi", pipIndexUrl: "pypi" }),
+    CliError
+  );
+});
+
+test("checkToolchain compares the reported version with minVersion", () => {
+  const step = { command: process.execPath, args: ["--version"], cwd: __dirname };
+  const [major] = process.versions.node.split(".");
+  assert.equal(quietly(() => checkToolchain({ ...step, minVersion: `${major}.0` })), null);
+  assert.match(
+    checkToolchain({ ...step, minVersion: "999.1" }),
+    /is older than the required 999\.1$/
+  );
+  assert.match(
+    checkToolchain({ ...step, command: "electroinit-no-such-tool", minVersion: "1.0" }),
+    /not found; version 1\.0 or newer is required/
+  );
+});
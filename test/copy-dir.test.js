@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { copyDir, listFiles } = require("../init.js");
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "electroinit-test-"));
+}
+
+test("copies files and skips dist, logs and .git at the root", (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const src = path.join(root, "src");
+  fs.mkdirSync(path.join(src, "lib", "dist"), { recursive: true });
+  fs.mkdirSync(path.join(src, "dist"));
+  fs.mkdirSync(path.join(src, ".git"));
+  fs.writeFileSync(path.join(src, "package.json"), "{}");
+  fs.writeFileSync(path.join(src, "lib", "dist", "index.js"), "");
+  fs.writeFileSync(path.join(src, "dist", "bundle.js"), "");
+  fs.writeFileSync(path.join(src, ".git", "HEAD"), "");
+
+  const dest = path.join(root, "dest");
+  copyDir(src, dest);
+  assert.deepEqual(listFiles(dest, "", new Set()).sort(), ["lib/dist/index.js", "package.json"]);
+});
+
+test("keeps file modes", { skip: process.platform === "win32" }, (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const src = path.join(root, "src");
+  fs.mkdirSync(src);
+  fs.writeFileSync(path.join(src, "run.sh"), "#!/bin/sh\n");
+  fs.chmodSync(path.join(src, "run.sh"), 0o755);
+
+  copyDir(src, path.join(root, "dest"));
+  assert.equal(fs.statSync(path.join(root, "dest", "run.sh")).mode & 0o777, 0o755);
+});
+
+test("preserves symlinks and relinks absolute links into the copy", { skip: process.platform === "win32" }, (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const src = path.join(root, "src");
+  fs.mkdirSync(path.join(src, "node_modules", ".bin"), { recursive: true });
+  fs.mkdirSync(path.join(src, "node_modules", "tool"));
+  fs.writeFileSync(path.join(src, "node_modules", "tool", "cli.js"), "");
+  fs.symlinkSync("../tool/cli.js", path.join(src, "node_modules", ".bin", "tool"));
+  fs.symlinkSync(path.join(src, "node_modules", "tool"), path.join(src, "tool-link"));
+
+  const dest = path.join(root, "dest");
+  copyDir(src, dest);
+  assert.equal(fs.readlinkSync(path.join(dest, "node_modules", ".bin", "tool")), "../tool/cli.js");
+  assert.equal(fs.readlinkSync(path.join(dest, "tool-link")), path.join(dest, "node_modules", "tool"));
+});
+
+test("skips node_modules with skipDependencies", (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const src = path.join(root, "src");
+  fs.mkdirSync(path.join(src, "node_modules", "dep"), { recursive: true });
+  fs.writeFileSync(path.join(src, "node_modules", "dep", "index.js"), "");
+  fs.writeFileSync(path.join(src, "index.js"), "");
+
+  const dest = path.join(root, "dest");
+  copyDir(src, dest, { skipDependencies: true });
+  assert.deepEqual(fs.readdirSync(dest), ["index.js"]);
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { fetchJson, proxyFor } = require("../init.js");
+
+// Local stand-ins for the releases server and a forward proxy.
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+test("fetches JSON and follows relative and absolute redirects", async (t) => {
+  const target = await listen((req, res) => {
+    if (req.url === "/releases.json") {
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify([{ version: "31.2.1", node: "20.14.0" }]));
+    } else {
+      res.statusCode = 404;
+      res.end();
+    }
+  });
+  t.after(() => target.server.close());
+  const origin = await listen((req, res) => {
+    res.statusCode = req.url === "/moved" ? 301 : 302;
+    res.setHeader("location", req.url === "/moved" ? "/elsewhere" : `${target.url}/releases.json`);
+    res.end();
+  });
+  t.after(() => origin.server.close());
+
+  const releases = await fetchJson(`${origin.url}/moved`, { noproxy: "*" });
+  assert.deepEqual(releases, [{ version: "31.2.1", node: "20.14.0" }]);
+  await assert.rejects(fetchJson(`${target.url}/missing.json`, { noproxy: "*" }), /HTTP 404/);
+});
+
+test("gives up after too many redirects", async (t) => {
+  const loop = await listen((req, res) => {
+    res.statusCode = 302;
+    res.setHeader("location", "/again");
+    res.end();
+  });
+  t.after(() => loop.server.close());
+  await assert.rejects(fetchJson(`${loop.url}/start`, { noproxy: "*" }), /Too many redirects/);
+});
+
+test("sends http requests through the proxy with credentials", async (t) => {
+  const seen = [];
+  const proxy = await listen((req, res) => {
+    seen.push({ url: req.url, auth: req.headers["proxy-authorization"] });
+    res.end(JSON.stringify({ proxied: true }));
+  });
+  t.after(() => proxy.server.close());
+  const proxyUrl = proxy.url.replace("http://", "http://user:p%40ss@");
+
+  const body = await fetchJson("http://releases.example.test/releases.json", {
+    proxy: proxyUrl,
+    noproxy: "none",
+  });
+  assert.deepEqual(body, { proxied: true });
+  assert.deepEqual(seen, [
+    {
+      url: "http://releases.example.test/releases.json",
+      auth: `Basic ${Buffer.from("user:p@ss").toString("base64")}`,
+    },
+  ]);
+});
+
+test("picks the proxy from the environment and honors NO_PROXY", () => {
+  const env = {
+    HTTPS_PROXY: "http://secure-proxy:8080",
+    HTTP_PROXY: "http://plain-proxy:8080",
+    NO_PROXY: "localhost,.corp.example,registry.local:4873",
+  };
+  assert.equal(proxyFor("https://releases.electronjs.org/", {}, env).host, "secure-proxy:8080");
+  assert.equal(proxyFor("http://releases.electronjs.org/", {}, env).host, "plain-proxy:8080");
+  assert.equal(proxyFor("https://npm.corp.example/", {}, env), null);
+  assert.equal(proxyFor("http://registry.local:4873/", {}, env), null);
+  assert.equal(proxyFor("http://localhost:3000/", {}, env), null);
+  assert.equal(
+    proxyFor("https://npm.corp.example/", { proxy: "http://cli-proxy:3128", noproxy: "none" }, env)
+      .host,
+    "cli-proxy:3128"
+  );
+  assert.equal(proxyFor("https://releases.electronjs.org/", {}, {}), null);
+});
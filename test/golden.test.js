@@ -0,0 +1,82 @@
+"use strict";
+
+// Golden snapshots of the generated tree. After an intended template change,
+// regenerate them with: UPDATE_GOLDEN=1 node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { scaffold, BUILTIN_BACKENDS } = require("../init.js");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const TARGET = path.join(__dirname, "fixtures", "golden-app");
+
+function serialize(result) {
+  const rel = (dir) => path.relative(TARGET, dir).split(path.sep).join("/") || ".";
+  const parts = [`##### dirs: ${[...result.dirs].sort().join(" ")}`];
+  [...result.files.keys()].sort().forEach((file) => {
+    const { content, executable } = result.files.get(file);
+    const body = Buffer.isBuffer(content)
+      ? `<binary ${content.length} bytes, sha256 ${crypto.createHash("sha256").update(content).digest("hex")}>\n`
+      : content;
+    parts.push(`##### ${file}${executable ? " (executable)" : ""}\n${body}`);
+  });
+  parts.push(
+    "##### installs",
+    ...[...result.installPlan, ...result.bootstrapPlan].map(
+      (step) => `${step.label}: ${rel(step.cwd)} $ ${[step.command, ...step.args].join(" ")}`
+    )
+  );
+  return `${parts.join("\n")}\n`;
+}
+
+const cases = [
+  ...BUILTIN_BACKENDS.map((backend) => ({ name: backend.key, options: { backend: backend.key } })),
+  { name: "node-electron-ts", options: { backend: "node", electronTs: true } },
+  { name: "node-windows", options: { backend: "node", platform: "windows" } },
+  ...["pnpm", "yarn", "bun"].map((pm) => ({ name: `node-${pm}`, options: { backend: "node", pm } })),
+  { name: "node-workspace", options: { backend: "node", workspace: true } },
+  { name: "node-yarn-workspace", options: { backend: "node", pm: "yarn", workspace: true } },
+];
+
+cases.forEach(({ name, options }) => {
+  test(`generated tree matches golden/${name}.txt`, () => {
+    const result = scaffold({
+      target: TARGET,
+      cwd: path.join(__dirname, "fixtures"),
+      electronVersion: "31.2.1",
+      platform: "unix",
+      ...options,
+    });
+    const actual = serialize(result);
+    const goldenFile = path.join(GOLDEN_DIR, `${name}.txt`);
+    if (process.env.UPDATE_GOLDEN) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenFile, actual);
+      return;
+    }
+    assert.ok(fs.existsSync(goldenFile), `Missing ${goldenFile}; run with UPDATE_GOLDEN=1`);
+    assert.equal(actual, fs.readFileSync(goldenFile, "utf8"));
+  });
+});
+
+test("picks the Electron version from a releases list", () => {
+  const result = scaffold({
+    target: TARGET,
+    cwd: path.join(__dirname, "fixtures"),
+    backend: "node",
+    releases: require(path.join(__dirname, "fixtures", "releases.json")),
+    nodeVersion: "v18.20.4",
+  });
+  assert.equal(result.electronVersion, "28.3.3");
+  assert.equal(JSON.parse(result.files.get("package.json").content).devDependencies.electron, "28.3.3");
+  assert.equal(result.projectName, "golden-app");
+});
+
+test("scaffold() writes nothing to disk", () => {
+  scaffold({ target: TARGET, cwd: path.join(__dirname, "fixtures"), electronVersion: "31.2.1" });
+  assert.equal(fs.existsSync(TARGET), false);
+});
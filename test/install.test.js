@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { scaffold } = require("../init.js");
+
+const base = {
+  cwd: path.join(__dirname, "fixtures"),
+  target: "install-app",
+  electronVersion: "31.2.1",
+  platform: "unix",
+};
+
+function quietly(fn) {
+  const original = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = original;
+  }
+}
+
+test("--offline and --prefer-offline are passed to npm and pnpm", () => {
+  const npm = scaffold({ ...base, offline: true });
+  assert.deepEqual(
+    npm.installPlan.map((step) => step.args),
+    [
+      ["install", "--no-audit", "--offline"],
+      ["install", "--no-audit", "--offline"],
+    ]
+  );
+  const pnpm = scaffold({ ...base, pm: "pnpm", preferOffline: true });
+  assert.deepEqual(pnpm.installPlan[0].args, ["install", "--prefer-offline"]);
+});
+
+test("yarn goes offline through YARN_ENABLE_NETWORK and bun installs normally", () => {
+  const yarn = scaffold({ ...base, pm: "yarn", offline: true });
+  assert.equal(yarn.env.YARN_ENABLE_NETWORK, "0");
+  assert.deepEqual(yarn.installPlan[0].args, ["install"]);
+  const bun = quietly(() => scaffold({ ...base, pm: "bun", offline: true }));
+  assert.deepEqual(bun.installPlan[0].args, ["install"]);
+});
+
+test("seeds npm lockfiles renamed to the project", () => {
+  const result = scaffold({ ...base, seedLockfiles: true });
+  assert.deepEqual(
+    result.lockfiles.map((lock) => lock.rel),
+    ["package-lock.json", "src/frontend/package-lock.json"]
+  );
+  const [root, frontend] = result.lockfiles.map((lock) => JSON.parse(lock.content));
+  assert.equal(root.name, "install-app");
+  assert.equal(root.packages[""].name, "install-app");
+  assert.equal(root.lockfileVersion, 3);
+  assert.ok(root.packages["node_modules/electron"]);
+  assert.equal(frontend.packages[""].name, "install-app-frontend");
+  assert.ok(frontend.packages["node_modules/react"]);
+});
+
+test("does not seed lockfiles for other package managers or workspaces", () => {
+  assert.deepEqual(scaffold(base).lockfiles, []);
+  assert.deepEqual(quietly(() => scaffold({ ...base, seedLockfiles: true, pm: "pnpm" })).lockfiles, []);
+  assert.deepEqual(
+    quietly(() => scaffold({ ...base, seedLockfiles: true, workspace: true })).lockfiles,
+    []
+  );
+});
@@ -0,0 +1,33 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mergeLines } = require("../init.js");
+
+const labels = { ours: "current", theirs: "electroinit" };
+const lines = (text) => text.split("\n");
+
+test("takes template changes when the project did not touch the lines", () => {
+  const result = mergeLines(lines("a\nb\nc"), lines("a\nb\nc\nlocal"), lines("a\nB\nc"), labels);
+  assert.deepEqual(result, { lines: lines("a\nB\nc\nlocal"), conflicts: 0 });
+});
+
+test("keeps identical edits on both sides once", () => {
+  const result = mergeLines(lines("a\nb\nc"), lines("a\nx\nc"), lines("a\nx\nc"), labels);
+  assert.deepEqual(result, { lines: lines("a\nx\nc"), conflicts: 0 });
+});
+
+test("marks overlapping edits as a conflict", () => {
+  const result = mergeLines(lines("a\nb\nc"), lines("a\nmine\nc"), lines("a\ntheirs\nc"), labels);
+  assert.equal(result.conflicts, 1);
+  assert.deepEqual(result.lines, [
+    "a",
+    "<<<<<<< current",
+    "mine",
+    "=======",
+    "theirs",
+    ">>>>>>> electroinit",
+    "c",
+  ]);
+});
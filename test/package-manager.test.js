@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { detectPackageManager, buildNpmrc } = require("../init.js");
+
+test("detects the package manager from npm_config_user_agent", () => {
+  assert.equal(detectPackageManager("pnpm/9.12.0 npm/? node/v20.18.0 linux x64"), "pnpm");
+  assert.equal(detectPackageManager("yarn/4.5.1 npm/? node/v20.18.0 linux x64"), "yarn");
+  assert.equal(detectPackageManager("bun/1.1.34 npm/? node/v22.6.0 linux x64"), "bun");
+  assert.equal(detectPackageManager("npm/10.8.2 node/v20.18.0 linux x64 workspaces/false"), "npm");
+});
+
+test("falls back to npm", () => {
+  assert.equal(detectPackageManager(undefined), "npm");
+  assert.equal(detectPackageManager("cnpm/9.4.0 npminstall/7.12.0"), "npm");
+});
+
+test("writes audit=false only for npm and no .npmrc for yarn", () => {
+  assert.equal(buildNpmrc(false, false, "npm"), "audit=false\n");
+  assert.equal(buildNpmrc(false, false, "pnpm"), null);
+  assert.equal(buildNpmrc(true, false, "yarn"), null);
+});
+
+test("explicit registry, mirror, proxy and CA settings go into .npmrc", () => {
+  const npmrc = buildNpmrc(true, true, "pnpm", {
+    registry: "https://npm.corp.example/",
+    proxy: "http://proxy.corp.example:3128",
+    noproxy: "localhost,.corp.example",
+    cafile: "/etc/ssl/corp-ca.pem",
+  });
+  assert.equal(
+    npmrc,
+    [
+      "registry=https://npm.corp.example/",
+      "electron_mirror=https://npmmirror.com/mirrors/electron/",
+      "proxy=http://proxy.corp.example:3128",
+      "https-proxy=http://proxy.corp.example:3128",
+      "noproxy=localhost,.corp.example",
+      "cafile=/etc/ssl/corp-ca.pem",
+      "",
+    ].join("\n")
+  );
+});
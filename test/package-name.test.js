@@ -0,0 +1,34 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toPackageName, buildAppId } = require("../init.js");
+
+test("lowercases and keeps valid characters", () => {
+  assert.equal(toPackageName("My-App_2"), "my-app_2");
+});
+
+test("replaces runs of invalid characters with a single dash", () => {
+  assert.equal(toPackageName("My Cool  App!"), "my-cool-app");
+  assert.equal(toPackageName("a.b/c@d"), "a-b-c-d");
+});
+
+test("trims leading and trailing dashes", () => {
+  assert.equal(toPackageName("--app--"), "app");
+  assert.equal(toPackageName(" (app) "), "app");
+});
+
+test("collapses repeated dashes", () => {
+  assert.equal(toPackageName("a---b"), "a-b");
+});
+
+test("falls back to electron-app when nothing is left", () => {
+  assert.equal(toPackageName("???"), "electron-app");
+  assert.equal(toPackageName(""), "electron-app");
+  assert.equal(toPackageName("项目"), "electron-app");
+});
+
+test("derives the appId from the package name", () => {
+  assert.equal(buildAppId("my-app_2"), "com.electroinit.my-app-2");
+});
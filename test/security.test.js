@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { scaffold } = require("../init.js");
+
+function writeProject(t, edit = (html) => html) {
+  const { files } = scaffold({
+    cwd: path.join(__dirname, "fixtures"),
+    target: "security-app",
+    electronVersion: "31.2.1",
+    platform: "unix",
+    backend: "node",
+  });
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "electroinit-test-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  files.forEach(({ content }, rel) => {
+    if (!rel.startsWith("src/electron/") && rel !== "src/frontend/index.html") return;
+    fs.mkdirSync(path.join(root, path.dirname(rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), rel.endsWith(".html") ? edit(content) : content);
+  });
+  return root;
+}
+
+function report(dir) {
+  return spawnSync(process.execPath, [path.join(__dirname, "..", "init.js"), "--security-report", dir], {
+    encoding: "utf8",
+  });
+}
+
+test("a generated project passes the security report, including its production CSP", (t) => {
+  const result = report(writeProject(t));
+  assert.equal(result.status, 0, result.stdout);
+  assert.match(result.stdout, /PASS {2}Content-Security-Policy meta tag/);
+});
+
+test("the report fails without a meta CSP or with inline scripts allowed", (t) => {
+  const withoutMeta = report(
+    writeProject(t, (html) => html.replace(/<meta\s+http-equiv="Content-Security-Policy"[^>]*>/, ""))
+  );
+  assert.equal(withoutMeta.status, 1);
+  assert.match(withoutMeta.stdout, /FAIL {2}Content-Security-Policy meta tag/);
+
+  const inline = report(
+    writeProject(t, (html) => html.replace("script-src 'self'", "script-src 'self' 'unsafe-inline'"))
+  );
+  assert.equal(inline.status, 1);
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { stageProject, CliError } = require("../init.js");
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "electroinit-test-"));
+}
+
+async function quietly(fn) {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = original;
+  }
+}
+
+test("a failed build leaves the existing target untouched", async (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const target = path.join(root, "app");
+  fs.mkdirSync(target);
+  fs.writeFileSync(path.join(target, "keep.txt"), "old");
+
+  await assert.rejects(
+    () =>
+      quietly(() =>
+        stageProject(target, (stageDir) => {
+          fs.mkdirSync(stageDir);
+          fs.writeFileSync(path.join(stageDir, "package.json"), "{}");
+          throw new CliError("install failed");
+        })
+      ),
+    /install failed/
+  );
+  assert.deepEqual(fs.readdirSync(root), ["app"]);
+  assert.deepEqual(fs.readdirSync(target), ["keep.txt"]);
+});
+
+test("a successful build replaces the target and drops the backup", async (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const target = path.join(root, "app");
+  fs.mkdirSync(target);
+  fs.writeFileSync(path.join(target, "keep.txt"), "old");
+
+  let staged = null;
+  await stageProject(target, (stageDir) => {
+    staged = stageDir;
+    assert.equal(path.dirname(stageDir), root);
+    assert.ok(fs.existsSync(path.join(target, "keep.txt")), "target is untouched while building");
+    fs.mkdirSync(stageDir);
+    fs.writeFileSync(path.join(stageDir, "package.json"), "{}");
+  });
+  assert.ok(!fs.existsSync(staged));
+  assert.deepEqual(fs.readdirSync(root), ["app"]);
+  assert.deepEqual(fs.readdirSync(target), ["package.json"]);
+});
+
+test("creates a missing target and its parent directories", async (t) => {
+  const root = tempDir();
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const target = path.join(root, "nested", "app");
+
+  await stageProject(target, (stageDir) => {
+    fs.mkdirSync(stageDir);
+    fs.writeFileSync(path.join(stageDir, "package.json"), "{}");
+  });
+  assert.deepEqual(fs.readdirSync(path.join(root, "nested")), ["app"]);
+  assert.deepEqual(fs.readdirSync(target), ["package.json"]);
+});
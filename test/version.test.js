@@ -0,0 +1,143 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  pickElectronVersion,
+  listElectronCandidates,
+  electronReleaseFilter,
+  parseSemver,
+  compareSemver,
+  normalizeVersion,
+} = require("../init.js");
+
+const releases = require(path.join(__dirname, "fixtures", "releases.json"));
+const githubReleases = require(path.join(__dirname, "fixtures", "releases-github.json"));
+
+test("picks the newest stable release built on the same Node major", () => {
+  const picked = pickElectronVersion(releases, 18);
+  assert.equal(picked.version, "28.3.3");
+  assert.equal(picked.match, "exact");
+});
+
+test("skips pre-releases", () => {
+  const picked = pickElectronVersion(releases, 20);
+  assert.equal(picked.version, "31.2.1");
+  assert.equal(picked.match, "exact");
+});
+
+test("falls back to the newest release on an older Node major", () => {
+  const picked = pickElectronVersion(releases, 22);
+  assert.equal(picked.version, "31.2.1");
+  assert.equal(picked.match, "lower");
+});
+
+test("falls back to any release when every release needs a newer Node", () => {
+  const picked = pickElectronVersion(releases, 16);
+  assert.equal(picked.version, "31.2.1");
+  assert.equal(picked.match, "any");
+});
+
+test("ignores releases without a Node version", () => {
+  const picked = pickElectronVersion(releases.filter((r) => r.version.startsWith("25.")), 18);
+  assert.equal(picked, null);
+});
+
+test("reads GitHub-style tag_name / deps.node entries", () => {
+  const picked = pickElectronVersion(githubReleases, 20);
+  assert.equal(picked.version, "29.1.0");
+  assert.equal(picked.node, "20.9.0");
+});
+
+test("returns null for an empty list", () => {
+  assert.equal(pickElectronVersion([], 20), null);
+});
+
+test("--electron-major picks the newest patch of that major", () => {
+  const picked = pickElectronVersion(releases, 20, { major: 31 });
+  assert.equal(picked.version, "31.2.1");
+  assert.equal(picked.chrome, "126.0.6478.127");
+  assert.equal(picked.date, "2024-07-11");
+  assert.equal(pickElectronVersion(releases, 20, { major: 28 }).match, "lower");
+  assert.equal(pickElectronVersion(releases, 20, { major: 99 }), null);
+});
+
+test("the beta channel offers betas but never alphas or nightlies", () => {
+  const picked = pickElectronVersion(releases, 20, { channel: "beta" });
+  assert.equal(picked.version, "32.0.0-beta.10");
+  assert.equal(pickElectronVersion(releases, 18, { channel: "beta" }).version, "28.3.3");
+  assert.equal(pickElectronVersion(githubReleases, 20, { channel: "beta" }).version, "29.1.0");
+});
+
+test("a stable release outranks its own betas", () => {
+  const list = [
+    { version: "33.0.0-beta.2", node: "20.18.0" },
+    { version: "33.0.0", node: "20.18.0" },
+  ];
+  assert.equal(pickElectronVersion(list, 20, { channel: "beta" }).version, "33.0.0");
+});
+
+test("--supported-only keeps the latest three majors released by that date", () => {
+  const list = [
+    { version: "30.0.0", node: "20.11.1", date: "2024-04-16" },
+    { version: "29.4.0", node: "20.9.0", date: "2024-06-01" },
+    { version: "28.3.0", node: "18.18.2", date: "2024-05-01" },
+    { version: "27.3.0", node: "18.17.1", date: "2024-05-01" },
+    { version: "31.0.0", node: "20.14.0", date: "2024-06-11" },
+    { version: "32.0.0-beta.1", node: "20.16.0", date: "2024-06-20" },
+  ];
+  const before = listElectronCandidates(list, 18, {
+    supportedOnly: true,
+    now: Date.parse("2024-06-01"),
+  });
+  assert.deepEqual(
+    before.map((c) => c.version),
+    ["28.3.0", "30.0.0", "29.4.0"]
+  );
+  const after = listElectronCandidates(list, 18, {
+    supportedOnly: true,
+    channel: "beta",
+    now: Date.parse("2024-07-01"),
+  });
+  assert.deepEqual(
+    after.map((c) => c.version),
+    ["32.0.0-beta.1", "31.0.0", "30.0.0", "29.4.0"]
+  );
+});
+
+test("cached scaffolds go through the same Electron filters", () => {
+  const release = (version) => ({
+    version,
+    major: Number(version.split(".")[0]),
+    channel: version.includes("-beta") ? "beta" : "stable",
+  });
+  const all = ["27.3.0", "29.4.0", "30.0.0", "31.0.0"].map((version) => ({
+    ...release(version),
+    date: "2024-06-01",
+  }));
+  const kept = (filters, versions) =>
+    versions.filter((version) => electronReleaseFilter(all, filters)(release(version)));
+  const cached = ["27.3.0", "30.0.0", "31.2.1", "32.0.0-beta.1"];
+  assert.deepEqual(kept({}, cached), ["27.3.0", "30.0.0", "31.2.1"]);
+  assert.deepEqual(kept({ channel: "beta", major: 32 }, cached), ["32.0.0-beta.1"]);
+  assert.deepEqual(kept({ supportedOnly: true }, cached), ["30.0.0", "31.2.1"]);
+});
+
+test("candidates list the newest release per major, best Node match first", () => {
+  const candidates = listElectronCandidates(releases, 18);
+  assert.deepEqual(
+    candidates.map((c) => `${c.version}:${c.match}`),
+    ["28.3.3:exact", "27.3.11:exact", "26.6.10:exact", "31.2.1:any", "30.1.2:any", "29.4.5:any"]
+  );
+});
+
+test("parses and orders versions numerically", () => {
+  assert.deepEqual(parseSemver("v31.10.2-beta.1"), { major: 31, minor: 10, patch: 2 });
+  assert.equal(normalizeVersion("v30.0.0"), "30.0.0");
+  const sorted = ["9.4.0", "31.10.0", "31.2.1", "v30.0.0"].sort((a, b) =>
+    compareSemver(parseSemver(a), parseSemver(b))
+  );
+  assert.deepEqual(sorted, ["9.4.0", "v30.0.0", "31.2.1", "31.10.0"]);
+});